@@ -0,0 +1,128 @@
+/**
+ * Compression codecs for the data blocks of Object Container Files.
+ *
+ * A codec is an object with `compress(buf)` and `decompress(buf)` methods,
+ * each returning a Buffer or a Promise resolving with one.
+ */
+
+const zlib = require('zlib')
+const util = require('util')
+const snappy = require('snappyjs')
+const errors = require('./errors')
+
+const deflateRaw = util.promisify(zlib.deflateRaw)
+const inflateRaw = util.promisify(zlib.inflateRaw)
+
+const CRC32_TABLE = (() => {
+  const table = new Int32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c
+  }
+  return table
+})()
+
+/**
+ * Compute the CRC32 (ISO 3309) checksum of a buffer.
+ *
+ * @param {Buffer} buf
+ * @returns {number} The unsigned 32 bit checksum.
+ */
+function crc32 (buf) {
+  let crc = -1
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ -1) >>> 0
+}
+
+const nullCodec = {
+  compress: (buf) => buf,
+  decompress: (buf) => buf
+}
+
+/**
+ * The deflate codec uses raw deflate (RFC 1951) without zlib header or checksum.
+ */
+const deflateCodec = {
+  compress: (buf) => deflateRaw(buf),
+  decompress: (buf) => inflateRaw(buf).catch(e => {
+    throw new errors.CorruptDataError(`Invalid deflate block: ${e.message}`, { cause: e })
+  })
+}
+
+/**
+ * Each snappy block is followed by the 4-byte, big-endian CRC32 checksum of
+ * the uncompressed data.
+ */
+const snappyCodec = {
+  compress: (buf) => {
+    const checksum = Buffer.alloc(4)
+    checksum.writeUInt32BE(crc32(buf), 0)
+    return Buffer.concat([Buffer.from(snappy.compress(buf)), checksum])
+  },
+  decompress: (buf) => {
+    if (buf.length < 4) {
+      throw new errors.CorruptDataError('Snappy block is too short to hold a checksum.')
+    }
+    let decompressed
+    try {
+      decompressed = Buffer.from(snappy.uncompress(buf.subarray(0, buf.length - 4)))
+    } catch (e) {
+      throw new errors.CorruptDataError(`Invalid snappy block: ${e.message}`, { cause: e })
+    }
+    if (crc32(decompressed) !== buf.readUInt32BE(buf.length - 4)) {
+      throw new errors.CorruptDataError('Snappy block checksum mismatch.')
+    }
+    return decompressed
+  }
+}
+
+const registry = {}
+
+/**
+ * Register a codec under the name used in the `avro.codec` header entry.
+ *
+ * @param {string} name
+ * @param {Object} codec
+ */
+function registerCodec (name, codec) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Codec name must be a non-empty string.')
+  } else if (codec === undefined || typeof codec.compress !== 'function' || typeof codec.decompress !== 'function') {
+    throw new Error(`Codec ${name} must have compress and decompress methods.`)
+  }
+
+  registry[name] = codec
+}
+
+/**
+ * Look up a registered codec.
+ *
+ * @param {string} name
+ * @returns {Object} The codec.
+ */
+function getCodec (name) {
+  if (!Object.prototype.hasOwnProperty.call(registry, name)) {
+    throw new Error(`Unknown codec: ${name}`)
+  }
+  return registry[name]
+}
+
+function hasCodec (name) {
+  return Object.prototype.hasOwnProperty.call(registry, name)
+}
+
+registerCodec('null', nullCodec)
+registerCodec('deflate', deflateCodec)
+registerCodec('snappy', snappyCodec)
+
+module.exports = {
+  crc32,
+  registerCodec,
+  getCodec,
+  hasCodec
+}
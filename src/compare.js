@@ -0,0 +1,465 @@
+/**
+ * Comparison of Avro data following the sort order of the specification,
+ * either binary encoded or decoded.
+ */
+
+const crypto = require('crypto')
+const io = require('./io')
+const errors = require('./errors')
+const utils = require('./utils')
+const Tap = require('./tap')
+
+// Only used for its skip methods, which do not depend on the schemas it reads
+const skipper = new io.DatumReader()
+// Used to compare datums when no options are given
+const defaultWriter = new io.DatumWriter()
+
+/**
+ * Compare two binary encodings of a schema without decoding them.
+ *
+ * Record fields are compared in order, honoring their `order` attribute.
+ * Logical types are ignored, the underlying types are compared.
+ *
+ * @param {Schema} schema
+ * @param {Buffer} bufA
+ * @param {Buffer} bufB
+ * @returns {number} -1, 0 or 1 when the datum encoded in bufA sorts before,
+ *   as or after the one encoded in bufB.
+ */
+function compareBuffers (schema, bufA, bufB) {
+  const tapA = new Tap(bufA)
+  const tapB = new Tap(bufB)
+  const res = compareTaps(schema, tapA, tapB)
+  checkBounds(tapA, 0)
+  checkBounds(tapB, 0)
+  return Math.sign(res)
+}
+
+/**
+ * Throw when fewer than `size` bytes are left after the position of a tap.
+ *
+ * @param {Tap} tap
+ * @param {number} size
+ */
+function checkBounds (tap, size) {
+  if (tap.pos + size > tap.buf.length) {
+    throw new errors.TruncatedDataError('Cannot compare truncated encodings.', { offset: tap.buf.length })
+  }
+}
+
+/**
+ * Compare the data at the positions of two taps. Both taps are left after the
+ * compared data when they are equal, anywhere in it otherwise.
+ *
+ * @param {Schema} schema
+ * @param {Tap} tapA
+ * @param {Tap} tapB
+ */
+function compareTaps (schema, tapA, tapB) {
+  switch (schema.type) {
+    case 'null':
+      return 0
+    case 'boolean':
+      return tapA.matchBoolean(tapB)
+    case 'int':
+    case 'enum':
+      // Enums sort by the position of their symbols
+      return tapA.matchLong(tapB)
+    case 'long': {
+      // Numbers lose the precision of longs over 2^53
+      const longA = tapA.unpackLongBytes().readBigInt64LE(0)
+      const longB = tapB.unpackLongBytes().readBigInt64LE(0)
+      return longA === longB ? 0 : (longA < longB ? -1 : 1)
+    }
+    case 'float':
+      return compareNumbers(tapA.readFloat(), tapB.readFloat())
+    case 'double':
+      return compareNumbers(tapA.readDouble(), tapB.readDouble())
+    case 'bytes':
+    case 'string':
+      return compareBytes(tapA, tapB)
+    case 'fixed':
+      checkBounds(tapA, schema.size)
+      checkBounds(tapB, schema.size)
+      return tapA.matchFixed(tapB, schema.size)
+    case 'array':
+      return compareArrays(schema, tapA, tapB)
+    case 'map':
+      throw new Error('Data of map type cannot be compared.')
+    case 'union':
+    case 'error_union': {
+      const indexA = tapA.readLong()
+      const indexB = tapB.readLong()
+      if (indexA !== indexB) {
+        return indexA < indexB ? -1 : 1
+      }
+      return compareTaps(schema.schemas[indexA], tapA, tapB)
+    }
+    case 'record':
+    case 'error':
+    case 'request':
+      return compareRecords(schema, tapA, tapB)
+    default:
+      throw new Error(`Cannot compare unknown schema type: ${schema.type}`)
+  }
+}
+
+/**
+ * Bytes and strings compare byte by byte, their lengths are checked first as
+ * matchBytes would compare whatever is left of a truncated buffer.
+ */
+function compareBytes (tapA, tapB) {
+  const lengthA = readLength(tapA)
+  const lengthB = readLength(tapB)
+  checkBounds(tapA, lengthA)
+  checkBounds(tapB, lengthB)
+  const posA = tapA.pos
+  const posB = tapB.pos
+  tapA.pos += lengthA
+  tapB.pos += lengthB
+  return tapA.buf.compare(tapB.buf, posB, posB + lengthB, posA, posA + lengthA)
+}
+
+function readLength (tap) {
+  const pos = tap.pos
+  const length = tap.readLong()
+  if (length < 0) {
+    throw new errors.CorruptDataError(`Negative length ${length} at offset ${pos}.`, { offset: pos })
+  }
+  return length
+}
+
+/**
+ * Move a tap to the next item of an array, reading block counts as needed.
+ *
+ * @param {Tap} tap
+ * @param {Object} block Number of items `remaining` in the current block.
+ * @returns {boolean} False at the end of the array.
+ */
+function nextItem (tap, block) {
+  while (block.remaining === 0) {
+    let blockCount = tap.readLong()
+    if (blockCount === 0) {
+      return false
+    } else if (blockCount < 0) {
+      blockCount = -blockCount
+      // Block size
+      tap.skipLong()
+    }
+    block.remaining = blockCount
+  }
+  block.remaining--
+  return true
+}
+
+/**
+ * Arrays compare item by item, an array sorts before the longer arrays it
+ * is a prefix of.
+ */
+function compareArrays (schema, tapA, tapB) {
+  const blockA = { remaining: 0 }
+  const blockB = { remaining: 0 }
+  for (;;) {
+    const hasItemA = nextItem(tapA, blockA)
+    const hasItemB = nextItem(tapB, blockB)
+    if (!hasItemA || !hasItemB) {
+      return hasItemA === hasItemB ? 0 : (hasItemA ? 1 : -1)
+    }
+
+    const res = compareTaps(schema.items, tapA, tapB)
+    if (res !== 0) {
+      return res
+    }
+  }
+}
+
+function compareRecords (schema, tapA, tapB) {
+  for (const field of schema.fields) {
+    if (field.order === 'ignore') {
+      skipper.skipData(field.type, tapA)
+      skipper.skipData(field.type, tapB)
+      continue
+    }
+
+    const res = compareTaps(field.type, tapA, tapB)
+    if (res !== 0) {
+      return field.order === 'descending' ? -res : res
+    }
+  }
+  return 0
+}
+
+/**
+ * Numbers sort by value, NaN after all other numbers.
+ */
+function compareNumbers (a, b) {
+  const isNaNA = Number.isNaN(a)
+  const isNaNB = Number.isNaN(b)
+  if (isNaNA || isNaNB) {
+    return isNaNA === isNaNB ? 0 : (isNaNA ? 1 : -1)
+  }
+  return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+/**
+ * DatumWriter whose options are used to compare datums: their long mode and
+ * logical types. It also finds the union branches of datums, as they would
+ * be written.
+ *
+ * @param {Object} options Options of a DatumWriter.
+ */
+function getDatumWriter (options) {
+  return options === undefined ? defaultWriter : new io.DatumWriter(undefined, options)
+}
+
+/**
+ * Convert a datum of a logical type implemented in the options of a
+ * DatumWriter to the value of its underlying type, which is the one compared.
+ *
+ * @param {Schema} schema
+ * @param {*} datum
+ * @param {DatumWriter} datumWriter
+ */
+function toUnderlyingValue (schema, datum, datumWriter) {
+  const logicalType = schema.logicalType
+  const logicalTypes = datumWriter.options.logicalTypes
+  if (logicalType === undefined || logicalTypes === undefined || !utils.isObject(logicalTypes[logicalType])) {
+    return datum
+  }
+
+  let value
+  try {
+    value = logicalTypes[logicalType].toValue(datum, schema)
+  } catch (e) {
+    throw new errors.LogicalTypeError(`The toValue function of logical type ${logicalType} failed: ${e}`, { logicalType, cause: e })
+  }
+  if (value instanceof Promise) {
+    throw new errors.LogicalTypeError(`Data of logical type ${logicalType} cannot be compared, its toValue function is asynchronous.`, { logicalType })
+  }
+  return value
+}
+
+/**
+ * Long value of the long mode of a DatumWriter as a BigInt.
+ */
+function toBigInt (datum, datumWriter) {
+  return datumWriter.longMode.toBuffer(datum).readBigInt64LE(0)
+}
+
+function compareLongs (a, b, datumWriter) {
+  if (datumWriter.longMode === io.LONG_MODES.number) {
+    return compareNumbers(a, b)
+  }
+  const bigA = toBigInt(a, datumWriter)
+  const bigB = toBigInt(b, datumWriter)
+  return bigA < bigB ? -1 : (bigA > bigB ? 1 : 0)
+}
+
+/**
+ * Compare two datums of a schema, with the same sort order as their binary
+ * encodings.
+ *
+ * @param {Schema} schema
+ * @param {*} a
+ * @param {*} b
+ * @param {Object} options Options of the DatumWriter the datums would be
+ *   written with, for their `longMode` and `logicalTypes`.
+ * @returns {number} -1, 0 or 1 when a sorts before, as or after b.
+ */
+function compare (schema, a, b, options) {
+  return compareDatums(schema, a, b, getDatumWriter(options))
+}
+
+function compareDatums (schema, a, b, datumWriter) {
+  a = toUnderlyingValue(schema, a, datumWriter)
+  b = toUnderlyingValue(schema, b, datumWriter)
+  switch (schema.type) {
+    case 'null':
+      return 0
+    case 'boolean':
+      return a === b ? 0 : (a ? 1 : -1)
+    case 'long':
+      return compareLongs(a, b, datumWriter)
+    case 'int':
+    case 'float':
+    case 'double':
+      return compareNumbers(a, b)
+    case 'string':
+      // UTF-8 bytes sort as code points, unlike UTF-16 code units
+      return Buffer.compare(Buffer.from(a), Buffer.from(b))
+    case 'bytes':
+    case 'fixed':
+      return Buffer.compare(a, b)
+    case 'enum':
+      return compareNumbers(schema.symbols.indexOf(a), schema.symbols.indexOf(b))
+    case 'array': {
+      const length = Math.min(a.length, b.length)
+      for (let i = 0; i < length; i++) {
+        const res = compareDatums(schema.items, a[i], b[i], datumWriter)
+        if (res !== 0) {
+          return res
+        }
+      }
+      return compareNumbers(a.length, b.length)
+    }
+    case 'map':
+      throw new Error('Data of map type cannot be compared.')
+    case 'union':
+    case 'error_union': {
+      const indexA = datumWriter.resolveUnion(schema, a)
+      const indexB = datumWriter.resolveUnion(schema, b)
+      if (indexA !== indexB) {
+        return indexA < indexB ? -1 : 1
+      }
+      return compareDatums(schema.schemas[indexA], a, b, datumWriter)
+    }
+    case 'record':
+    case 'error':
+    case 'request':
+      for (const field of schema.fields) {
+        if (field.order === 'ignore') {
+          continue
+        }
+        const res = compareDatums(field.type, a[field.name], b[field.name], datumWriter)
+        if (res !== 0) {
+          return field.order === 'descending' ? -res : res
+        }
+      }
+      return 0
+    default:
+      throw new Error(`Cannot compare unknown schema type: ${schema.type}`)
+  }
+}
+
+/**
+ * Whether two datums of a schema are equal, ignoring the fields with the
+ * `ignore` order. Unlike `compare`, maps are supported.
+ *
+ * @param {Schema} schema
+ * @param {*} a
+ * @param {*} b
+ * @param {Object} options See `compare`.
+ * @returns {boolean}
+ */
+function equals (schema, a, b, options) {
+  return equalDatums(schema, a, b, getDatumWriter(options))
+}
+
+function equalDatums (schema, a, b, datumWriter) {
+  if (!['array', 'map', 'union', 'error_union', 'record', 'error', 'request'].includes(schema.type)) {
+    return compareDatums(schema, a, b, datumWriter) === 0
+  }
+
+  a = toUnderlyingValue(schema, a, datumWriter)
+  b = toUnderlyingValue(schema, b, datumWriter)
+  switch (schema.type) {
+    case 'array':
+      return a.length === b.length && a.every((item, i) => equalDatums(schema.items, item, b[i], datumWriter))
+    case 'map': {
+      const keys = Object.keys(a)
+      return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && equalDatums(schema.values, a[key], b[key], datumWriter))
+    }
+    case 'union':
+    case 'error_union': {
+      const index = datumWriter.resolveUnion(schema, a)
+      return index === datumWriter.resolveUnion(schema, b) && equalDatums(schema.schemas[index], a, b, datumWriter)
+    }
+    default:
+      return schema.fields.every(field => field.order === 'ignore' || equalDatums(field.type, a[field.name], b[field.name], datumWriter))
+  }
+}
+
+/**
+ * Feed the parts of a datum which `equals` looks at to a hash, each
+ * prefixed with its length so that different datums cannot collide by
+ * concatenation.
+ */
+function updateHash (h, schema, datum, datumWriter) {
+  const update = (buf) => {
+    const length = Buffer.alloc(4)
+    length.writeUInt32BE(buf.length, 0)
+    h.update(length)
+    h.update(buf)
+  }
+
+  datum = toUnderlyingValue(schema, datum, datumWriter)
+  switch (schema.type) {
+    case 'null':
+      break
+    case 'boolean':
+      update(Buffer.from([datum ? 1 : 0]))
+      break
+    case 'int':
+    case 'long':
+    case 'float':
+    case 'double': {
+      const n = schema.type === 'long' && datumWriter.longMode !== io.LONG_MODES.number ? toBigInt(datum, datumWriter) : datum
+      update(Buffer.from(Object.is(n, -0) ? '0' : String(n)))
+      break
+    }
+    case 'string':
+    case 'enum':
+      update(Buffer.from(datum))
+      break
+    case 'bytes':
+    case 'fixed':
+      update(datum)
+      break
+    case 'array':
+      update(Buffer.from(String(datum.length)))
+      for (const item of datum) {
+        updateHash(h, schema.items, item, datumWriter)
+      }
+      break
+    case 'map': {
+      const keys = Object.keys(datum).sort()
+      update(Buffer.from(String(keys.length)))
+      for (const key of keys) {
+        update(Buffer.from(key))
+        updateHash(h, schema.values, datum[key], datumWriter)
+      }
+      break
+    }
+    case 'union':
+    case 'error_union': {
+      const index = datumWriter.resolveUnion(schema, datum)
+      update(Buffer.from(String(index)))
+      updateHash(h, schema.schemas[index], datum, datumWriter)
+      break
+    }
+    case 'record':
+    case 'error':
+    case 'request':
+      for (const field of schema.fields) {
+        if (field.order !== 'ignore') {
+          updateHash(h, field.type, datum[field.name], datumWriter)
+        }
+      }
+      break
+    default:
+      throw new Error(`Cannot hash unknown schema type: ${schema.type}`)
+  }
+}
+
+/**
+ * Hash of a datum of a schema, equal for datums which are `equals`.
+ *
+ * @param {Schema} schema
+ * @param {*} datum
+ * @param {Object} options See `compare`.
+ * @returns {string} The MD5 hash as hexadecimal, stable across processes.
+ */
+function hash (schema, datum, options) {
+  const h = crypto.createHash('md5')
+  updateHash(h, schema, datum, getDatumWriter(options))
+  return h.digest('hex')
+}
+
+module.exports = {
+  compareBuffers,
+  compareTaps,
+  compare,
+  equals,
+  hash
+}
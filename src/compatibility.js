@@ -0,0 +1,155 @@
+/**
+ * Static compatibility checks between a writer's and a reader's schema,
+ * following the schema resolution rules of the DatumReader.
+ */
+
+const io = require('./io')
+const constants = require('./constants')
+
+const MODES = ['backward', 'forward', 'full']
+
+const UNION_TYPES = ['union', 'error_union']
+const RECORD_TYPES = ['record', 'error', 'request']
+
+/**
+ * Check whether data written with a schema can be read with another one.
+ *
+ * Modes:
+ *  * backward: the reader's schema can read data written with the writer's schema.
+ *  * forward: the writer's schema can read data written with the reader's schema.
+ *  * full: both.
+ *
+ * @param {Schema} writersSchema
+ * @param {Schema} readersSchema
+ * @param {string} mode One of backward (default), forward or full.
+ * @returns {Object} `{ compatible, incompatibilities }`, each incompatibility
+ *   having a `type`, the `path` of the offending part of the reading schema,
+ *   a `message` and the `direction` (backward or forward) it was found in.
+ */
+function checkCompatibility (writersSchema, readersSchema, mode = 'backward') {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown compatibility mode: ${mode}. Valid modes are ${MODES.join(', ')}.`)
+  }
+
+  const incompatibilities = []
+  if (mode !== 'forward') {
+    incompatibilities.push(...new CompatibilityChecker('backward').check(writersSchema, readersSchema))
+  }
+  if (mode !== 'backward') {
+    incompatibilities.push(...new CompatibilityChecker('forward').check(readersSchema, writersSchema))
+  }
+  return { compatible: incompatibilities.length === 0, incompatibilities }
+}
+
+function describe (schema) {
+  return constants.NAMED_TYPES.includes(schema.type) ? `${schema.type} ${schema.fullname}` : schema.type
+}
+
+/**
+ * Walks a writer's and a reader's schema together, collecting what the
+ * reader cannot resolve.
+ */
+class CompatibilityChecker {
+  constructor (direction) {
+    this.direction = direction
+    this.incompatibilities = []
+    // Pairs of named types already checked, to stop on recursive types
+    this._checked = new Set()
+  }
+
+  /**
+   * @returns {Array} The incompatibilities found.
+   */
+  check (writersSchema, readersSchema) {
+    this.checkSchemas(writersSchema, readersSchema, '')
+    return this.incompatibilities
+  }
+
+  report (type, path, message) {
+    this.incompatibilities.push({ type, path: path === '' ? '/' : path, message, direction: this.direction })
+  }
+
+  checkSchemas (writersSchema, readersSchema, path) {
+    const wType = writersSchema.type
+    const rType = readersSchema.type
+
+    // Each branch the writer may have used must be readable
+    if (UNION_TYPES.includes(wType)) {
+      for (const branch of writersSchema.schemas) {
+        this.checkSchemas(branch, readersSchema, path)
+      }
+      return
+    }
+
+    // The reader picks the branch matching the writer's schema best
+    if (UNION_TYPES.includes(rType)) {
+      const index = readersSchema.schemas.indexOf(io.DatumReader.resolveBranch(writersSchema, readersSchema))
+      if (index < 0) {
+        this.report('MISSING_UNION_BRANCH', path, `The reader's union has no branch for the writer's ${describe(writersSchema)}.`)
+      } else {
+        this.checkSchemas(writersSchema, readersSchema.schemas[index], `${path}/${index}`)
+      }
+      return
+    }
+
+    if (wType !== rType) {
+      if (!io.DatumReader.matchSchemas(writersSchema, readersSchema)) {
+        this.report('TYPE_MISMATCH', path, `The writer's ${describe(writersSchema)} cannot be read as ${describe(readersSchema)}.`)
+      }
+      return
+    }
+
+    if (constants.NAMED_TYPES.includes(wType) && !io.DatumReader.matchNames(writersSchema, readersSchema)) {
+      this.report('NAME_MISMATCH', `${path}/name`, `The writer's ${wType} is named ${writersSchema.fullname}, expected ${readersSchema.fullname}.`)
+      return
+    }
+
+    if (wType === 'fixed' && writersSchema.size !== readersSchema.size) {
+      this.report('FIXED_SIZE_MISMATCH', `${path}/size`, `The writer's ${describe(writersSchema)} has size ${writersSchema.size}, expected ${readersSchema.size}.`)
+    } else if (wType === 'enum') {
+      const missing = writersSchema.symbols.filter(s => !readersSchema.symbols.includes(s))
+      if (missing.length > 0 && readersSchema.default === undefined) {
+        this.report('MISSING_ENUM_SYMBOLS', `${path}/symbols`, `The reader's ${describe(readersSchema)} is missing the symbols ${missing.join(', ')}.`)
+      }
+    } else if (wType === 'array') {
+      this.checkSchemas(writersSchema.items, readersSchema.items, `${path}/items`)
+    } else if (wType === 'map') {
+      this.checkSchemas(writersSchema.values, readersSchema.values, `${path}/values`)
+    } else if (RECORD_TYPES.includes(wType)) {
+      this.checkRecords(writersSchema, readersSchema, path)
+    }
+  }
+
+  checkRecords (writersSchema, readersSchema, path) {
+    if (writersSchema.type !== 'request') {
+      const key = `${writersSchema.fullname}\n${readersSchema.fullname}`
+      if (this._checked.has(key)) {
+        return
+      }
+      this._checked.add(key)
+    }
+
+    // Writer's fields by the name of the reader's field reading them
+    const writersFields = {}
+    const readersFields = io.DatumReader.resolveFields(writersSchema, readersSchema)
+    for (const field of writersSchema.fields) {
+      if (readersFields[field.name] !== undefined) {
+        writersFields[readersFields[field.name].name] = field
+      }
+    }
+
+    readersSchema.fields.forEach((readersField, i) => {
+      const writersField = writersFields[readersField.name]
+      if (writersField !== undefined) {
+        this.checkSchemas(writersField.type, readersField.type, `${path}/fields/${i}/type`)
+      } else if (!readersField.hasDefault) {
+        this.report('READER_FIELD_MISSING_DEFAULT_VALUE', `${path}/fields/${i}`, `The reader's field ${readersField.name} is missing in the writer's ${describe(writersSchema)} and has no default value.`)
+      }
+    })
+  }
+}
+
+module.exports = {
+  MODES,
+  checkCompatibility
+}
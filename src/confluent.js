@@ -0,0 +1,184 @@
+/**
+ * Confluent Schema Registry wire format.
+ *
+ * An encoded datum is the magic byte `0`, followed by the 4-byte big-endian
+ * id of the writer's schema in the registry and the binary encoding of the
+ * datum.
+ *
+ * The registry is accessed through a client with the following methods, all
+ * returning Promises:
+ *  * getSchemaById(id) resolving with the schema JSON.
+ *  * register(subject, schema) resolving with the id of the schema.
+ *  * getLatest(subject) resolving with `{ id, version, schema }`.
+ */
+
+const schemaModule = require('./schema')
+const io = require('./io')
+const Tap = require('./tap')
+
+const MAGIC_BYTE = 0
+const HEADER_SIZE = 5
+
+/**
+ * Registry client keeping its schemas in memory, useful for tests and for
+ * services which do not need a live registry.
+ */
+class MemoryRegistryClient {
+  constructor () {
+    this._schemas = []
+    this._subjects = {}
+  }
+
+  async getSchemaById (id) {
+    const schemaJson = this._schemas[id - 1]
+    if (schemaJson === undefined) {
+      throw new Error(`Schema not found for id: ${id}`)
+    }
+    return schemaJson
+  }
+
+  async register (subject, schema) {
+    const schemaJson = (schema instanceof schemaModule.Schema ? schema : schemaModule.parse(schema)).toString()
+    let id = this._schemas.indexOf(schemaJson) + 1
+    if (id === 0) {
+      this._schemas.push(schemaJson)
+      id = this._schemas.length
+    }
+
+    if (this._subjects[subject] === undefined) {
+      this._subjects[subject] = []
+    }
+    if (!this._subjects[subject].includes(id)) {
+      this._subjects[subject].push(id)
+    }
+    return id
+  }
+
+  async getLatest (subject) {
+    const versions = this._subjects[subject]
+    if (versions === undefined) {
+      throw new Error(`Subject not found: ${subject}`)
+    }
+
+    const id = versions[versions.length - 1]
+    return { id, version: versions.length, schema: this._schemas[id - 1] }
+  }
+}
+
+/**
+ * Encode datums in the Confluent wire format. The ids of registered schemas
+ * and the parsed latest schemas are cached.
+ */
+class ConfluentEncoder {
+  /**
+   * @param {Object} registry Registry client.
+   * @param {Object} options Options passed to the DatumWriter.
+   */
+  constructor (registry, options) {
+    if (registry === undefined || typeof registry.register !== 'function' || typeof registry.getLatest !== 'function') {
+      throw new Error('ConfluentEncoder requires a registry client with register and getLatest methods.')
+    }
+
+    this.registry = registry
+    this.options = options
+    this._ids = {}
+    this._schemas = {}
+  }
+
+  /**
+   * Encode a datum for a subject.
+   *
+   * The writer's schema is registered under the subject, or when it is not
+   * given the latest schema of the subject is looked up and used. Schemas differing only by
+   * attributes the Parsing Canonical Form drops, like logical types, are
+   * registered separately.
+   *
+   * @param {string} subject
+   * @param {*} datum
+   * @param {Schema} writersSchema
+   * @returns {Promise<Buffer>} The encoded datum.
+   */
+  async encode (subject, datum, writersSchema) {
+    let id
+    if (writersSchema === undefined) {
+      const latest = await this.registry.getLatest(subject)
+      id = latest.id
+      if (this._schemas[id] === undefined) {
+        this._schemas[id] = schemaModule.parse(latest.schema)
+      }
+      writersSchema = this._schemas[id]
+    } else {
+      const key = `${subject}:${writersSchema.toString()}`
+      if (this._ids[key] === undefined) {
+        this._ids[key] = this.registry.register(subject, writersSchema)
+      }
+      try {
+        id = await this._ids[key]
+      } catch (e) {
+        delete this._ids[key]
+        throw e
+      }
+    }
+
+    const buf = await io.encodeItems([[new io.DatumWriter(writersSchema, this.options), datum]], HEADER_SIZE)
+    buf.writeUInt8(MAGIC_BYTE, 0)
+    buf.writeUInt32BE(id, 1)
+    return buf
+  }
+}
+
+/**
+ * Decode datums in the Confluent wire format, parsed writer's schemas are
+ * cached by id.
+ */
+class ConfluentDecoder {
+  /**
+   * @param {Object} registry Registry client.
+   * @param {Schema} readersSchema Reader's schema, the writer's schema is used when undefined.
+   * @param {Object} options Options passed to the DatumReader.
+   */
+  constructor (registry, readersSchema, options) {
+    if (registry === undefined || typeof registry.getSchemaById !== 'function') {
+      throw new Error('ConfluentDecoder requires a registry client with a getSchemaById method.')
+    }
+
+    this.registry = registry
+    this.readersSchema = readersSchema
+    this.options = options
+    this._schemas = {}
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<Schema>} The parsed schema registered with the id.
+   */
+  getSchema (id) {
+    if (this._schemas[id] === undefined) {
+      this._schemas[id] = Promise.resolve(this.registry.getSchemaById(id)).then(schemaModule.parse)
+      this._schemas[id].catch(() => delete this._schemas[id])
+    }
+    return this._schemas[id]
+  }
+
+  /**
+   * @param {Buffer} buf
+   * @returns {Promise} Promise resolving with the decoded datum.
+   */
+  async decode (buf) {
+    if (!Buffer.isBuffer(buf) || buf.length < HEADER_SIZE || buf[0] !== MAGIC_BYTE) {
+      throw new Error('Not a Confluent encoded datum: missing or invalid magic byte.')
+    }
+
+    const writersSchema = await this.getSchema(buf.readUInt32BE(1))
+    const readersSchema = this.readersSchema === undefined ? writersSchema : this.readersSchema
+    const datumReader = new io.DatumReader(writersSchema, readersSchema, this.options)
+    return datumReader.read(new Tap(buf, HEADER_SIZE))
+  }
+}
+
+module.exports = {
+  MAGIC_BYTE,
+  MemoryRegistryClient,
+  ConfluentEncoder,
+  ConfluentDecoder
+}
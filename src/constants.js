@@ -54,11 +54,29 @@ const VALID_FIELD_SORT_ORDERS = [
   'ignore'
 ]
 
+const PROTOCOL_RESERVED_PROPS = [
+  'protocol',
+  'namespace',
+  'types',
+  'messages',
+  'doc'
+]
+
+const MESSAGE_RESERVED_PROPS = [
+  'request',
+  'response',
+  'errors',
+  'one-way',
+  'doc'
+]
+
 module.exports = {
   PRIMITIVE_TYPES,
   NAMED_TYPES,
   VALID_TYPES,
   SCHEMA_RESERVED_PROPS,
   FIELD_RESERVED_PROPS,
-  VALID_FIELD_SORT_ORDERS
+  VALID_FIELD_SORT_ORDERS,
+  PROTOCOL_RESERVED_PROPS,
+  MESSAGE_RESERVED_PROPS
 }
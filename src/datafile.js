@@ -0,0 +1,348 @@
+/**
+ * Read/Write Avro Object Container Files.
+ */
+
+const crypto = require('crypto')
+const events = require('events')
+const schema = require('./schema')
+const io = require('./io')
+const errors = require('./errors')
+const codecs = require('./codecs')
+const Tap = require('./tap')
+
+const VERSION = 1
+const MAGIC = Buffer.from(`Obj${String.fromCharCode(VERSION)}`, 'latin1')
+const MAGIC_SIZE = MAGIC.length
+const SYNC_SIZE = 16
+const META_SCHEMA = schema.parse({
+  type: 'record',
+  name: 'org.apache.avro.file.Header',
+  fields: [
+    { name: 'magic', type: { type: 'fixed', name: 'magic', size: MAGIC_SIZE } },
+    { name: 'meta', type: { type: 'map', values: 'bytes' } },
+    { name: 'sync', type: { type: 'fixed', name: 'sync', size: SYNC_SIZE } }
+  ]
+})
+const SCHEMA_KEY = 'avro.schema'
+const CODEC_KEY = 'avro.codec'
+const RESERVED_META_PREFIX = 'avro.'
+const SYNC_INTERVAL = 1000 * SYNC_SIZE
+const BUFFER_SIZE = 1024
+
+/**
+ * Read records from an Avro Object Container File.
+ *
+ * The writer's schema is taken from the file header and set on the given
+ * DatumReader. If the DatumReader was created with a reader's schema the
+ * records are resolved against it.
+ */
+class DataFileReader {
+  /**
+   * @param {Buffer} buf The full content of the container file.
+   * @param {io.DatumReader} datumReader
+   */
+  constructor (buf, datumReader) {
+    if (!Buffer.isBuffer(buf)) {
+      throw new Error('DataFileReader requires a Buffer.')
+    }
+
+    this.tap = new Tap(buf)
+    this.datumReader = datumReader || new io.DatumReader()
+    this._meta = undefined
+    this._syncMarker = undefined
+    this._codec = undefined
+  }
+
+  get meta () {
+    return this._meta
+  }
+
+  get syncMarker () {
+    return this._syncMarker
+  }
+
+  get codec () {
+    return this.getMeta(CODEC_KEY)
+  }
+
+  get writersSchema () {
+    return this.datumReader.writersSchema
+  }
+
+  getMeta (key) {
+    if (this._meta === undefined) {
+      throw new Error('The header has not been read yet.')
+    }
+
+    const value = this._meta[key]
+    return value === undefined ? undefined : value.toString()
+  }
+
+  /**
+   * Read the file header, parse the writer's schema and check the codec.
+   * Does nothing if the header has already been read.
+   *
+   * @returns {Promise}
+   */
+  async readHeader () {
+    if (this._meta !== undefined) {
+      return
+    }
+
+    const headerReader = new io.DatumReader(META_SCHEMA)
+    const header = await headerReader.read(this.tap)
+    if (!this.tap.isValid() || !MAGIC.equals(header.magic)) {
+      throw new errors.CorruptDataError('Not an Avro data file: missing or invalid magic bytes.', { offset: 0 })
+    }
+
+    this._meta = header.meta
+    this._syncMarker = header.sync
+
+    this._codec = codecs.getCodec(this.codec === undefined ? 'null' : this.codec)
+
+    const schemaJson = this.getMeta(SCHEMA_KEY)
+    if (schemaJson === undefined) {
+      throw new errors.CorruptDataError(`Missing ${SCHEMA_KEY} in the data file header.`, { offset: 0 })
+    }
+    this.datumReader.writersSchema = schema.parse(schemaJson)
+  }
+
+  /**
+   * Yield the records of the file one block at a time.
+   *
+   * @returns {AsyncGenerator<Array>}
+   */
+  async * blocks () {
+    await this.readHeader()
+
+    const buf = this.tap.buf
+    while (this.tap.pos < buf.length) {
+      const blockCount = this.tap.readLong()
+      const blockSize = this.tap.readLong()
+      const start = this.tap.pos
+      this.tap.pos += blockSize
+      const syncMarker = this.tap.readFixed(SYNC_SIZE)
+      if (!this.tap.isValid() || blockCount < 0 || blockSize < 0) {
+        throw new errors.TruncatedDataError(`Truncated data block at position ${start}.`, { offset: start })
+      }
+      if (!syncMarker.equals(this._syncMarker)) {
+        throw new errors.CorruptDataError(`Sync marker mismatch after the data block at position ${start}.`, { offset: start + blockSize })
+      }
+
+      const data = await this._codec.decompress(buf.subarray(start, start + blockSize))
+      const blockTap = new Tap(data)
+      const records = []
+      for (let i = 0; i < blockCount; i++) {
+        records.push(await this.datumReader.read(blockTap))
+      }
+      if (!blockTap.isValid()) {
+        throw new errors.TruncatedDataError(`Data block at position ${start} is shorter than its records.`, { offset: start })
+      }
+      yield records
+    }
+  }
+
+  /**
+   * Yield the records of the file one by one.
+   *
+   * @returns {AsyncGenerator}
+   */
+  async * [Symbol.asyncIterator] () {
+    for await (const records of this.blocks()) {
+      yield * records
+    }
+  }
+}
+
+/**
+ * Write records to an Avro Object Container File.
+ *
+ * Records are buffered into blocks, a block is flushed to the writer once it
+ * holds `blockSize` records or `syncInterval` bytes, whichever comes first.
+ * Calls to `append` must not overlap.
+ */
+class DataFileWriter {
+  /**
+   * @param {Object} writer Destination with a `write(buf)` method, e.g. a Writable stream.
+   *   When `write` returns false, the writer is waited on until it emits
+   *   `drain`, otherwise the promise it returns, if any, is waited on.
+   * @param {io.DatumWriter} datumWriter
+   * @param {Object} options
+   * @param {string} options.codec Name of a registered codec, defaults to `null`.
+   * @param {number} options.syncInterval Approximate number of bytes per block.
+   * @param {number} options.blockSize Maximum number of records per block.
+   * @param {Object} options.metadata User metadata, values are strings or Buffers.
+   * @param {Buffer} options.syncMarker Sync marker, random by default.
+   */
+  constructor (writer, datumWriter, options) {
+    if (writer === undefined || typeof writer.write !== 'function') {
+      throw new Error('DataFileWriter requires a writer with a write method.')
+    } else if (datumWriter === undefined || datumWriter.writersSchema === undefined) {
+      throw new Error('DataFileWriter requires a DatumWriter with a writer\'s schema.')
+    }
+
+    options = options || {}
+    const codec = options.codec === undefined ? 'null' : options.codec
+    this._codec = codecs.getCodec(codec)
+
+    const syncMarker = options.syncMarker === undefined ? crypto.randomBytes(SYNC_SIZE) : options.syncMarker
+    if (!Buffer.isBuffer(syncMarker) || syncMarker.length !== SYNC_SIZE) {
+      throw new Error(`The sync marker must be a Buffer of ${SYNC_SIZE} bytes.`)
+    }
+
+    this.writer = writer
+    this.datumWriter = datumWriter
+    this.codec = codec
+    this.syncInterval = options.syncInterval === undefined ? SYNC_INTERVAL : options.syncInterval
+    this.blockSize = options.blockSize === undefined ? Infinity : options.blockSize
+    this.syncMarker = syncMarker
+    this._meta = {}
+    for (const [key, value] of Object.entries(options.metadata || {})) {
+      this.setMeta(key, value)
+    }
+    this._meta[SCHEMA_KEY] = Buffer.from(datumWriter.writersSchema.toString())
+    this._meta[CODEC_KEY] = Buffer.from(codec)
+
+    this.blockTap = new Tap(Buffer.alloc(BUFFER_SIZE))
+    this.blockCount = 0
+    this._headerWritten = false
+    this._closed = false
+  }
+
+  get writersSchema () {
+    return this.datumWriter.writersSchema
+  }
+
+  getMeta (key) {
+    const value = this._meta[key]
+    return value === undefined ? undefined : value.toString()
+  }
+
+  /**
+   * Add user metadata to the header, must be called before the first append.
+   *
+   * @param {string} key
+   * @param {string|Buffer} value
+   */
+  setMeta (key, value) {
+    if (this._headerWritten) {
+      throw new Error('The header has already been written.')
+    } else if (key.startsWith(RESERVED_META_PREFIX)) {
+      throw new Error(`Metadata keys starting with "${RESERVED_META_PREFIX}" are reserved: ${key}`)
+    }
+    this._meta[key] = Buffer.isBuffer(value) ? value : Buffer.from(String(value))
+  }
+
+  async writeHeader () {
+    if (this._headerWritten) {
+      return
+    }
+
+    const tap = new Tap(Buffer.alloc(BUFFER_SIZE))
+    const header = { magic: MAGIC, meta: this._meta, sync: this.syncMarker }
+    await io.writeGrowing(new io.DatumWriter(META_SCHEMA), header, tap)
+    this._headerWritten = true
+    await this.writeToWriter(tap.buf.subarray(0, tap.pos))
+  }
+
+  /**
+   * Write a buffer to the writer, honoring the backpressure of streams.
+   *
+   * @param {Buffer} buf
+   */
+  async writeToWriter (buf) {
+    const res = this.writer.write(buf)
+    if (res === false && typeof this.writer.once === 'function') {
+      await events.once(this.writer, 'drain')
+    } else {
+      await res
+    }
+  }
+
+  /**
+   * Append a datum to the current block, flushing the block when full.
+   *
+   * @param {*} datum
+   * @returns {Promise}
+   */
+  async append (datum) {
+    if (this._closed) {
+      throw new Error('Cannot append to a closed DataFileWriter.')
+    }
+
+    await this.writeHeader()
+    // Drop the bytes of a datum failing partway through, so the block only
+    // holds the datums it counts
+    const pos = this.blockTap.pos
+    try {
+      await io.writeGrowing(this.datumWriter, datum, this.blockTap)
+    } catch (e) {
+      this.blockTap.pos = pos
+      throw e
+    }
+    this.blockCount++
+
+    if (this.blockCount >= this.blockSize || this.blockTap.pos >= this.syncInterval) {
+      await this.flush()
+    }
+  }
+
+  /**
+   * Write the current block, if any, to the writer.
+   *
+   * @returns {Promise}
+   */
+  async flush () {
+    await this.writeHeader()
+    if (this.blockCount === 0) {
+      return
+    }
+
+    const data = await this._codec.compress(this.blockTap.buf.subarray(0, this.blockTap.pos))
+    const tap = new Tap(Buffer.alloc(20))
+    tap.writeLong(this.blockCount)
+    tap.writeLong(data.length)
+    const block = Buffer.concat([tap.buf.subarray(0, tap.pos), data, this.syncMarker])
+
+    this.blockTap.pos = 0
+    this.blockCount = 0
+    await this.writeToWriter(block)
+  }
+
+  /**
+   * Flush the last block and end the writer if it can be ended. Streams are
+   * waited on until they emit `finish`, other writers until the promise
+   * returned by `end`, if any, resolves.
+   *
+   * @returns {Promise}
+   */
+  async close () {
+    if (this._closed) {
+      return
+    }
+
+    await this.flush()
+    this._closed = true
+    if (typeof this.writer.end !== 'function') {
+      return
+    }
+    if (typeof this.writer.once === 'function') {
+      const finished = events.once(this.writer, 'finish')
+      this.writer.end()
+      await finished
+    } else {
+      await this.writer.end()
+    }
+  }
+}
+
+module.exports = {
+  MAGIC,
+  SYNC_SIZE,
+  META_SCHEMA,
+  SCHEMA_KEY,
+  CODEC_KEY,
+  SYNC_INTERVAL,
+  DataFileReader,
+  DataFileWriter
+}
@@ -0,0 +1,97 @@
+/**
+ * Errors raised by the library. They all extend AvroError, so callers can
+ * tell them apart from other errors and handle each kind differently.
+ */
+
+class AvroError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details Structured fields of the error, set on it. Among
+   *   them, depending on the error:
+   *    * writersSchema: The writer's schema, or the schema of a written datum.
+   *    * readersSchema: The reader's schema.
+   *    * path: Path of the offending part of a datum or schema.
+   *    * offset: Byte offset in the decoded data.
+   *    * cause: The error which caused this one.
+   */
+  constructor (message, details) {
+    super(message)
+    this.name = this.constructor.name
+    Object.assign(this, details)
+  }
+}
+
+/**
+ * Invalid schema, in its JSON form or as its parts are constructed.
+ */
+class SchemaParseError extends AvroError {}
+
+/**
+ * Datum which is not an instance of its schema, or JSON value which is not
+ * an encoding of its schema. Validation failures are listed in `errors`,
+ * see io.findValidationErrors.
+ */
+class AvroTypeError extends AvroError {}
+
+/**
+ * Data written with a schema which cannot be read with the reader's schema.
+ */
+class SchemaResolutionError extends AvroError {}
+
+/**
+ * Error thrown by the implementation of a logical type, as its `cause`.
+ */
+class LogicalTypeError extends AvroError {}
+
+/**
+ * Encoded data ending before the data it should hold.
+ */
+class TruncatedDataError extends AvroError {}
+
+/**
+ * Encoded data which cannot be the encoding of its schema: negative lengths,
+ * varints out of the range of their type or unexpected trailing bytes. Also
+ * data files with invalid headers, sync markers or compressed blocks.
+ */
+class CorruptDataError extends AvroError {}
+
+/**
+ * Encoded data going over a decoding limit of a DatumReader, with the
+ * `limit` it went over. Each limit has its own subclass.
+ */
+class LimitExceededError extends AvroError {}
+
+/**
+ * Array or map with more items than the `maxItems` option.
+ */
+class ItemLimitError extends LimitExceededError {}
+
+/**
+ * Bytes or string longer than the `maxLength` option.
+ */
+class LengthLimitError extends LimitExceededError {}
+
+/**
+ * Arrays, maps and records nested deeper than the `maxDepth` option.
+ */
+class DepthLimitError extends LimitExceededError {}
+
+/**
+ * Datum encoded on more bytes than the `maxSize` option.
+ */
+class SizeLimitError extends LimitExceededError {}
+
+module.exports = {
+  AvroError,
+  SchemaParseError,
+  AvroTypeError,
+  SchemaResolutionError,
+  LogicalTypeError,
+  TruncatedDataError,
+  CorruptDataError,
+  LimitExceededError,
+  ItemLimitError,
+  LengthLimitError,
+  DepthLimitError,
+  SizeLimitError
+}
@@ -0,0 +1,80 @@
+/**
+ * Schema fingerprints, computed over the Parsing Canonical Form of a schema.
+ */
+
+const crypto = require('crypto')
+
+const ALGORITHMS = ['CRC-64-AVRO', 'MD5', 'SHA-256']
+
+const CRC64_EMPTY = 0xc15d213aa4d7a795n
+const CRC64_MASK = 0xffffffffffffffffn
+
+const CRC64_TABLE = (() => {
+  const table = []
+  for (let i = 0; i < 256; i++) {
+    let fp = BigInt(i)
+    for (let j = 0; j < 8; j++) {
+      fp = (fp >> 1n) ^ (CRC64_EMPTY & -(fp & 1n))
+    }
+    table.push(fp & CRC64_MASK)
+  }
+  return table
+})()
+
+/**
+ * Compute the 64-bit Rabin fingerprint (CRC-64-AVRO) of a buffer.
+ *
+ * @param {Buffer} buf
+ * @returns {Buffer} The fingerprint as 8 little-endian bytes.
+ */
+function crc64Avro (buf) {
+  let fp = CRC64_EMPTY
+  for (let i = 0; i < buf.length; i++) {
+    fp = (fp >> 8n) ^ CRC64_TABLE[Number((fp ^ BigInt(buf[i])) & 0xffn)]
+  }
+
+  const res = Buffer.alloc(8)
+  for (let i = 0; i < 8; i++) {
+    res[i] = Number(fp & 0xffn)
+    fp >>= 8n
+  }
+  return res
+}
+
+/**
+ * Fingerprint of the Parsing Canonical Form of a schema.
+ *
+ * @param {Schema} schema
+ * @param {string} algorithm One of `CRC-64-AVRO` (default), `MD5` or `SHA-256`.
+ * @returns {Buffer} The fingerprint, little-endian for CRC-64-AVRO.
+ */
+function fingerprint (schema, algorithm = 'CRC-64-AVRO') {
+  const canonicalForm = Buffer.from(schema.toCanonicalString())
+  switch (algorithm) {
+    case 'CRC-64-AVRO':
+      return crc64Avro(canonicalForm)
+    case 'MD5':
+      return crypto.createHash('md5').update(canonicalForm).digest()
+    case 'SHA-256':
+      return crypto.createHash('sha256').update(canonicalForm).digest()
+    default:
+      throw new Error(`Unknown fingerprint algorithm: ${algorithm}. Valid algorithms are ${ALGORITHMS.join(', ')}.`)
+  }
+}
+
+/**
+ * CRC-64-AVRO fingerprint of the Parsing Canonical Form of a schema.
+ *
+ * @param {Schema} schema
+ * @returns {Buffer} The fingerprint as 8 little-endian bytes.
+ */
+function fingerprint64 (schema) {
+  return fingerprint(schema, 'CRC-64-AVRO')
+}
+
+module.exports = {
+  ALGORITHMS,
+  crc64Avro,
+  fingerprint,
+  fingerprint64
+}
@@ -0,0 +1,637 @@
+/**
+ * Parser for Avro IDL (.avdl) protocols.
+ *
+ * The IDL is first converted to the JSON of the equivalent protocol (.avpr),
+ * which is then built with the same classes as `protocol.parseProtocol`.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+const constants = require('./constants')
+const errors = require('./errors')
+const protocol = require('./protocol')
+const utils = require('./utils')
+
+const readFile = util.promisify(fs.readFile)
+
+const PUNCTUATION = '{}()[]<>,;=@?:'
+
+const LOGICAL_TYPE_ALIASES = {
+  date: { type: 'int', logicalType: 'date' },
+  time_ms: { type: 'int', logicalType: 'time-millis' },
+  timestamp_ms: { type: 'long', logicalType: 'timestamp-millis' },
+  local_timestamp_ms: { type: 'long', logicalType: 'local-timestamp-millis' },
+  uuid: { type: 'string', logicalType: 'uuid' }
+}
+
+const NAMED_SCHEMA_PROPS = ['namespace', 'aliases']
+
+/**
+ * @param {string} message
+ * @param {Object} token Token, or position, the error was found at. The end
+ *   of input when undefined.
+ */
+function createIdlError (message, token) {
+  if (token === undefined) {
+    return new errors.SchemaParseError(`Error parsing IDL at end of input: ${message}`)
+  }
+  return new errors.SchemaParseError(`Error parsing IDL at line ${token.line}, column ${token.column}: ${message}`,
+    { line: token.line, column: token.column })
+}
+
+/**
+ * Strip the comment delimiters and leading stars of a doc comment.
+ *
+ * @param {string} comment The comment, without its `/**` and `*\/` delimiters.
+ */
+function cleanDoc (comment) {
+  const lines = comment.split('\n').map(line => line.replace(/^\s*\*+ ?/, '').trimEnd())
+  return lines.join('\n').trim()
+}
+
+/**
+ * Split IDL text into tokens. Doc comments are attached to the token that
+ * follows them.
+ *
+ * @param {string} text
+ */
+function tokenize (text) {
+  const tokens = []
+  let pos = 0
+  let line = 1
+  // Position of the first character of the current line
+  let lineStart = 0
+  let doc
+
+  const match = (regex) => {
+    regex.lastIndex = pos
+    const m = regex.exec(text)
+    return m === null ? undefined : m
+  }
+  const column = () => pos - lineStart + 1
+  const consume = (raw) => {
+    const newlines = raw.match(/\n/g)
+    if (newlines !== null) {
+      line += newlines.length
+      lineStart = pos + raw.lastIndexOf('\n') + 1
+    }
+    pos += raw.length
+  }
+  const push = (type, value, raw) => {
+    tokens.push({ type, value, line, column: column(), doc })
+    doc = undefined
+    consume(raw)
+  }
+
+  let m
+  while (pos < text.length) {
+    if ((m = match(/\s+/y))) {
+      consume(m[0])
+    } else if ((m = match(/\/\/[^\n]*/y))) {
+      consume(m[0])
+    } else if (text.startsWith('/*', pos)) {
+      const end = text.indexOf('*/', pos + 2)
+      if (end < 0) {
+        throw createIdlError('Unterminated comment.', { line, column: column() })
+      }
+      const comment = text.slice(pos, end + 2)
+      if (comment.startsWith('/**') && comment !== '/**/') {
+        doc = cleanDoc(comment.slice(3, -2))
+      }
+      consume(comment)
+    } else if ((m = match(/"(?:[^"\\\n]|\\.)*"/y))) {
+      push('string', JSON.parse(m[0]), m[0])
+    } else if ((m = match(/`([^`\n]+)`/y))) {
+      push('identifier', m[1], m[0])
+    } else if ((m = match(/-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y))) {
+      push('number', Number(m[0]), m[0])
+    } else if ((m = match(/[A-Za-z_][A-Za-z0-9_.-]*/y))) {
+      push('identifier', m[0], m[0])
+    } else if (PUNCTUATION.includes(text[pos])) {
+      push('punctuation', text[pos], text[pos])
+    } else {
+      throw createIdlError(`Unexpected character ${JSON.stringify(text[pos])}.`, { line, column: column() })
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Recursive descent parser over the tokens of an IDL file.
+ *
+ * Imports are not resolved while parsing, they are kept in the body of the
+ * protocol and resolved afterwards since reading them is asynchronous.
+ */
+class IdlParser {
+  constructor (text) {
+    this.tokens = tokenize(text)
+    this.pos = 0
+  }
+
+  peek () {
+    return this.tokens[this.pos]
+  }
+
+  /**
+   * Like peek, but the next token is required.
+   */
+  current () {
+    const token = this.peek()
+    if (token === undefined) {
+      throw createIdlError('Unexpected end of input.')
+    }
+    return token
+  }
+
+  next () {
+    const token = this.tokens[this.pos++]
+    if (token === undefined) {
+      throw createIdlError('Unexpected end of input.')
+    }
+    return token
+  }
+
+  isNext (value) {
+    const token = this.peek()
+    return token !== undefined && token.type !== 'string' && token.value === value
+  }
+
+  accept (value) {
+    if (this.isNext(value)) {
+      this.pos++
+      return true
+    }
+    return false
+  }
+
+  expect (value) {
+    const token = this.next()
+    if (token.type === 'string' || token.value !== value) {
+      throw createIdlError(`Expected "${value}" but found ${JSON.stringify(token.value)}.`, token)
+    }
+    return token
+  }
+
+  /**
+   * @param {string} what Description of the integer, for the error.
+   * @param {number} min
+   */
+  expectInteger (what, min) {
+    const token = this.next()
+    if (token.type !== 'number' || !Number.isInteger(token.value) || token.value < min) {
+      throw createIdlError(`Expected the ${what} but found ${JSON.stringify(token.value)}.`, token)
+    }
+    return token.value
+  }
+
+  expectIdentifier () {
+    const token = this.next()
+    if (token.type !== 'identifier') {
+      throw createIdlError(`Expected an identifier but found ${JSON.stringify(token.value)}.`, token)
+    }
+    return token.value
+  }
+
+  /**
+   * Parse the `@name(json)` annotations before a declaration, type or name.
+   */
+  parseProperties () {
+    const props = {}
+    while (this.accept('@')) {
+      const token = this.peek()
+      const name = this.expectIdentifier()
+      if (Object.prototype.hasOwnProperty.call(props, name)) {
+        throw createIdlError(`Duplicate property ${name}.`, token)
+      }
+      this.expect('(')
+      props[name] = this.parseJsonValue()
+      this.expect(')')
+    }
+    return props
+  }
+
+  parseJsonValue () {
+    const token = this.next()
+    if (token.type === 'string' || token.type === 'number') {
+      return token.value
+    } else if (token.type === 'identifier' && ['true', 'false', 'null'].includes(token.value)) {
+      return JSON.parse(token.value)
+    } else if (token.value === '[') {
+      const values = []
+      if (!this.accept(']')) {
+        do {
+          values.push(this.parseJsonValue())
+        } while (this.accept(','))
+        this.expect(']')
+      }
+      return values
+    } else if (token.value === '{') {
+      const values = {}
+      if (!this.accept('}')) {
+        do {
+          const key = this.next()
+          if (key.type !== 'string') {
+            throw createIdlError(`Expected a JSON string key but found ${JSON.stringify(key.value)}.`, key)
+          }
+          this.expect(':')
+          values[key.value] = this.parseJsonValue()
+        } while (this.accept(','))
+        this.expect('}')
+      }
+      return values
+    }
+    throw createIdlError(`Expected a JSON value but found ${JSON.stringify(token.value)}.`, token)
+  }
+
+  parseProtocol () {
+    const doc = this.peek() === undefined ? undefined : this.peek().doc
+    const props = this.parseProperties()
+    this.expect('protocol')
+    const json = { protocol: this.expectIdentifier() }
+    if (props.namespace !== undefined) {
+      json.namespace = props.namespace
+      delete props.namespace
+    }
+    if (doc !== undefined) {
+      json.doc = doc
+    }
+    Object.assign(json, props)
+
+    const body = []
+    this.expect('{')
+    while (!this.accept('}')) {
+      if (this.isNext('import')) {
+        body.push(this.parseImport())
+      } else {
+        body.push(this.parseDeclaration())
+      }
+    }
+
+    const token = this.peek()
+    if (token !== undefined) {
+      throw createIdlError(`Unexpected ${JSON.stringify(token.value)} after the protocol.`, token)
+    }
+    return { json, body }
+  }
+
+  parseImport () {
+    this.expect('import')
+    const token = this.next()
+    if (!['idl', 'protocol', 'schema'].includes(token.value)) {
+      throw createIdlError(`Unknown import type ${JSON.stringify(token.value)}.`, token)
+    }
+    const file = this.next()
+    if (file.type !== 'string') {
+      throw createIdlError('Expected the imported file name as a string.', file)
+    }
+    this.expect(';')
+    return { kind: 'import', importType: token.value, file: file.value }
+  }
+
+  parseDeclaration () {
+    const doc = this.current().doc
+    const props = this.parseProperties()
+    const token = this.peek()
+    let json
+    if (this.accept('record')) {
+      json = this.parseRecord('record', props)
+    } else if (this.accept('error')) {
+      json = this.parseRecord('error', props)
+    } else if (this.accept('enum')) {
+      json = this.parseEnum(props)
+    } else if (this.accept('fixed')) {
+      json = this.parseFixed(props)
+    } else {
+      const [name, message] = this.parseMessage(props)
+      if (doc !== undefined) {
+        message.doc = doc
+      }
+      return { kind: 'message', name, json: message, token }
+    }
+
+    if (doc !== undefined) {
+      json.doc = doc
+    }
+    return { kind: 'type', json, token }
+  }
+
+  /**
+   * Start the JSON of a named type, the namespace and aliases annotations are
+   * attributes of the schema, other annotations are custom properties.
+   */
+  makeNamedJson (type, props) {
+    const json = { type, name: this.expectIdentifier() }
+    for (const prop of NAMED_SCHEMA_PROPS) {
+      if (props[prop] !== undefined) {
+        json[prop] = props[prop]
+      }
+    }
+    for (const [k, v] of Object.entries(props)) {
+      if (!NAMED_SCHEMA_PROPS.includes(k)) {
+        json[k] = v
+      }
+    }
+    return json
+  }
+
+  parseRecord (type, props) {
+    const json = this.makeNamedJson(type, props)
+    json.fields = []
+    this.expect('{')
+    while (!this.accept('}')) {
+      json.fields.push(...this.parseFields())
+    }
+    return json
+  }
+
+  parseEnum (props) {
+    const json = this.makeNamedJson('enum', props)
+    json.symbols = []
+    this.expect('{')
+    if (!this.accept('}')) {
+      do {
+        json.symbols.push(this.expectIdentifier())
+      } while (this.accept(','))
+      this.expect('}')
+    }
+    if (this.accept('=')) {
+      json.default = this.expectIdentifier()
+      this.expect(';')
+    } else {
+      this.accept(';')
+    }
+    return json
+  }
+
+  parseFixed (props) {
+    const json = this.makeNamedJson('fixed', props)
+    this.expect('(')
+    json.size = this.expectInteger('size of the fixed type', 0)
+    this.expect(')')
+    this.expect(';')
+    return json
+  }
+
+  /**
+   * Parse a message declaration, starting at its response type.
+   *
+   * @returns {Array} The name and JSON of the message.
+   */
+  parseMessage (props) {
+    const response = this.parseType()
+    const name = this.expectIdentifier()
+    const json = Object.assign({}, props)
+
+    json.request = []
+    this.expect('(')
+    if (!this.accept(')')) {
+      do {
+        const { type, nullable } = this.parseNullableType()
+        json.request.push(this.parseVariable(type, nullable))
+      } while (this.accept(','))
+      this.expect(')')
+    }
+    json.response = response
+
+    if (this.accept('throws')) {
+      json.errors = []
+      do {
+        json.errors.push(this.expectIdentifier())
+      } while (this.accept(','))
+    }
+    if (this.accept('oneway')) {
+      json['one-way'] = true
+    }
+    this.expect(';')
+    return [name, json]
+  }
+
+  /**
+   * Parse record fields: a type followed by one or more comma-separated
+   * names, each with optional annotations and default.
+   */
+  parseFields () {
+    const doc = this.current().doc
+    const { type, nullable } = this.parseNullableType()
+    const fields = []
+    do {
+      const field = this.parseVariable(type, nullable)
+      if (field.doc === undefined && doc !== undefined) {
+        field.doc = doc
+      }
+      fields.push(field)
+    } while (this.accept(','))
+    this.expect(';')
+    return fields
+  }
+
+  /**
+   * Parse the name, annotations and default of a field or message parameter.
+   *
+   * @param {*} type JSON of the already parsed type.
+   * @param {boolean} nullable Whether the type was declared with the `?` shorthand.
+   */
+  parseVariable (type, nullable) {
+    const doc = this.current().doc
+    const props = this.parseProperties()
+    const field = { name: this.expectIdentifier(), type }
+    if (doc !== undefined) {
+      field.doc = doc
+    }
+    if (this.accept('=')) {
+      field.default = this.parseJsonValue()
+      // A nullable type with a non-null default lists null last.
+      if (nullable && field.default !== null) {
+        field.type = [type[1], 'null']
+      }
+    }
+    return Object.assign(field, props)
+  }
+
+  parseType () {
+    return this.parseNullableType().type
+  }
+
+  /**
+   * Parse a type, which the `?` shorthand makes a union with null.
+   *
+   * @returns {Object} The JSON of the `type` and whether it is `nullable`.
+   */
+  parseNullableType () {
+    const type = this.parseNonNullType()
+    if (this.accept('?')) {
+      return { type: ['null', type], nullable: true }
+    }
+    return { type, nullable: false }
+  }
+
+  parseNonNullType () {
+    const props = this.parseProperties()
+    const token = this.next()
+    if (token.type !== 'identifier') {
+      throw createIdlError(`Expected a type but found ${JSON.stringify(token.value)}.`, token)
+    }
+
+    let json
+    switch (token.value) {
+      case 'array':
+        this.expect('<')
+        json = { type: 'array', items: this.parseType() }
+        this.expect('>')
+        break
+      case 'map':
+        this.expect('<')
+        json = { type: 'map', values: this.parseType() }
+        this.expect('>')
+        break
+      case 'union':
+        json = []
+        this.expect('{')
+        do {
+          json.push(this.parseType())
+        } while (this.accept(','))
+        this.expect('}')
+        break
+      case 'decimal': {
+        this.expect('(')
+        const precision = this.expectInteger('precision of the decimal type', 1)
+        this.expect(',')
+        const scaleToken = this.current()
+        const scale = this.expectInteger('scale of the decimal type', 0)
+        if (scale > precision) {
+          throw createIdlError(`The scale ${scale} of the decimal type is greater than its precision ${precision}.`, scaleToken)
+        }
+        this.expect(')')
+        json = { type: 'bytes', logicalType: 'decimal', precision, scale }
+        break
+      }
+      case 'void':
+        json = 'null'
+        break
+      default:
+        if (LOGICAL_TYPE_ALIASES[token.value] !== undefined) {
+          json = Object.assign({}, LOGICAL_TYPE_ALIASES[token.value])
+        } else {
+          json = token.value
+        }
+    }
+
+    if (Object.keys(props).length > 0) {
+      if (Array.isArray(json)) {
+        throw createIdlError('Properties cannot be set on a union.', token)
+      } else if (utils.isString(json) && !constants.PRIMITIVE_TYPES.includes(json)) {
+        throw createIdlError(`Properties cannot be set on a reference to the named type ${json}.`, token)
+      }
+      json = Object.assign(utils.isString(json) ? { type: json } : json, props)
+    }
+    return json
+  }
+}
+
+/**
+ * Give the named types of an imported protocol an explicit namespace, so
+ * they keep their fullname once merged in the importing protocol.
+ */
+function qualifyType (typeJson, namespace) {
+  if (namespace === undefined || !utils.isObject(typeJson) || Array.isArray(typeJson)) {
+    return typeJson
+  }
+  if (constants.NAMED_TYPES.includes(typeJson.type) && typeJson.namespace === undefined && !typeJson.name.includes('.')) {
+    return Object.assign({ namespace }, typeJson)
+  }
+  return typeJson
+}
+
+/**
+ * Resolve the imports of a parsed protocol body and build the protocol JSON.
+ *
+ * @param {Object} parsed The result of IdlParser#parseProtocol.
+ * @param {Object} context Import hook, base path and already imported files.
+ */
+async function resolveBody (parsed, context) {
+  const json = parsed.json
+  const types = []
+  const messages = {}
+
+  const addMessages = (msgs, token) => {
+    for (const [name, message] of Object.entries(msgs || {})) {
+      if (Object.prototype.hasOwnProperty.call(messages, name)) {
+        throw createIdlError(`Duplicate message ${name}.`, token)
+      }
+      messages[name] = message
+    }
+  }
+
+  for (const item of parsed.body) {
+    if (item.kind === 'type') {
+      types.push(item.json)
+    } else if (item.kind === 'message') {
+      addMessages({ [item.name]: item.json }, item.token)
+    } else {
+      const filePath = path.resolve(context.basePath, item.file)
+      if (context.imported.includes(filePath)) {
+        continue
+      }
+      context.imported.push(filePath)
+
+      const text = await context.importHook(filePath, item.importType)
+      if (item.importType === 'schema') {
+        types.push(JSON.parse(text))
+      } else {
+        let imported
+        if (item.importType === 'idl') {
+          const subContext = Object.assign({}, context, { basePath: path.dirname(filePath) })
+          imported = await resolveBody(new IdlParser(text).parseProtocol(), subContext)
+        } else {
+          imported = JSON.parse(text)
+        }
+        types.push(...(imported.types || []).map(t => qualifyType(t, imported.namespace)))
+        addMessages(imported.messages)
+      }
+    }
+  }
+
+  json.types = types
+  json.messages = messages
+  return json
+}
+
+/**
+ * Convert Avro IDL text into the JSON of the equivalent protocol.
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.basePath Directory imports are resolved from, defaults to the working directory.
+ * @param {Function} options.importHook Called with the absolute path and the import type
+ *   (`idl`, `protocol` or `schema`), resolves with the file content. Reads the file by default.
+ *
+ * @returns {Promise<Object>} Promise resolving with the protocol JSON.
+ */
+async function toJson (text, options) {
+  options = options || {}
+  const context = {
+    basePath: options.basePath === undefined ? process.cwd() : options.basePath,
+    importHook: options.importHook === undefined ? filePath => readFile(filePath, 'utf8') : options.importHook,
+    imported: []
+  }
+  return resolveBody(new IdlParser(text).parseProtocol(), context)
+}
+
+/**
+ * Parse Avro IDL text into a Protocol.
+ *
+ * @param {string} text
+ * @param {Object} options See `toJson`.
+ *
+ * @returns {Promise<Protocol>}
+ */
+async function parse (text, options) {
+  return protocol.makeAvprObject(await toJson(text, options))
+}
+
+module.exports = {
+  toJson,
+  parse
+}
@@ -0,0 +1,63 @@
+const schema = require('./schema')
+const io = require('./io')
+const datafile = require('./datafile')
+const codecs = require('./codecs')
+const message = require('./message')
+const fingerprint = require('./fingerprint')
+const confluent = require('./confluent')
+const compatibility = require('./compatibility')
+const compare = require('./compare')
+const protocol = require('./protocol')
+const idl = require('./idl')
+const ipc = require('./ipc')
+const errors = require('./errors')
+const Tap = require('./tap')
+
+module.exports = {
+  parse: schema.parse,
+  Schema: schema.Schema,
+  Name: schema.Name,
+  validate: io.validate,
+  findValidationErrors: io.findValidationErrors,
+  encode: io.encode,
+  DatumReader: io.DatumReader,
+  DatumWriter: io.DatumWriter,
+  DataFileReader: datafile.DataFileReader,
+  DataFileWriter: datafile.DataFileWriter,
+  registerCodec: codecs.registerCodec,
+  getCodec: codecs.getCodec,
+  SchemaStore: message.SchemaStore,
+  BinaryMessageEncoder: message.BinaryMessageEncoder,
+  BinaryMessageDecoder: message.BinaryMessageDecoder,
+  fingerprint: fingerprint.fingerprint,
+  fingerprint64: fingerprint.fingerprint64,
+  MemoryRegistryClient: confluent.MemoryRegistryClient,
+  ConfluentEncoder: confluent.ConfluentEncoder,
+  ConfluentDecoder: confluent.ConfluentDecoder,
+  checkCompatibility: compatibility.checkCompatibility,
+  compareBuffers: compare.compareBuffers,
+  compare: compare.compare,
+  equals: compare.equals,
+  hash: compare.hash,
+  parseProtocol: protocol.parseProtocol,
+  Protocol: protocol.Protocol,
+  Message: protocol.Message,
+  Requestor: ipc.Requestor,
+  Responder: ipc.Responder,
+  AvroRemoteError: ipc.AvroRemoteError,
+  parseIdl: idl.parse,
+  idlToJson: idl.toJson,
+  AvroError: errors.AvroError,
+  SchemaParseError: errors.SchemaParseError,
+  AvroTypeError: errors.AvroTypeError,
+  SchemaResolutionError: errors.SchemaResolutionError,
+  LogicalTypeError: errors.LogicalTypeError,
+  TruncatedDataError: errors.TruncatedDataError,
+  CorruptDataError: errors.CorruptDataError,
+  LimitExceededError: errors.LimitExceededError,
+  ItemLimitError: errors.ItemLimitError,
+  LengthLimitError: errors.LengthLimitError,
+  DepthLimitError: errors.DepthLimitError,
+  SizeLimitError: errors.SizeLimitError,
+  Tap
+}
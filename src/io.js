@@ -1,27 +1,153 @@
 const utils = require('./utils')
+const errors = require('./errors')
 const schema = require('./schema')
 const constants = require('../src/constants')
 
-// eslint-disable-next-line no-unused-vars
 const Tap = require('./tap')
 // eslint-disable-next-line no-unused-vars
 const Schema = schema.Schema
 
 const INT_MIN_VALUE = -((1 << 31) >>> 0)
 const INT_MAX_VALUE = ((1 << 31) >>> 0) - 1
-// Can't do this bitwise
-const LONG_MIN_VALUE = -9223372036854775808
-// eslint-disable-next-line no-loss-of-precision
-const LONG_MAX_VALUE = 9223372036854775807
+// Numbers can't represent these exactly, they are compared as BigInts
+const LONG_MIN_VALUE = BigInt('-9223372036854775808')
+const LONG_MAX_VALUE = BigInt('9223372036854775807')
+
+/**
+ * Encode an integer as the 8 bytes little-endian two's complement used by
+ * `Tap.packLongBytes` and `Tap.unpackLongBytes`.
+ *
+ * @param {number|bigint} n
+ */
+function toLongBytes (n) {
+  const buf = Buffer.alloc(8)
+  buf.writeBigInt64LE(BigInt(n))
+  return buf
+}
+
+/**
+ * Representations of long values, selected with the `longMode` option of
+ * DatumReader and DatumWriter:
+ *  * number (default): numbers, precise up to Number.MAX_SAFE_INTEGER.
+ *  * bigint: BigInts.
+ *  * string: decimal strings.
+ *
+ * A custom long class can be used instead of a mode name. Like the modes,
+ * it must implement `fromBuffer(buf)` and `toBuffer(value)`, converting from
+ * and to 8 bytes little-endian two's complement buffers, and
+ * `isValid(value)`.
+ */
+const LONG_MODES = {
+  number: {
+    fromBuffer: buf => Number(buf.readBigInt64LE(0)),
+    toBuffer: toLongBytes,
+    isValid: value => utils.isNumber(value) && (LONG_MIN_VALUE <= value && value <= LONG_MAX_VALUE)
+  },
+  bigint: {
+    fromBuffer: buf => buf.readBigInt64LE(0),
+    toBuffer: toLongBytes,
+    isValid: value => typeof value === 'bigint' && (LONG_MIN_VALUE <= value && value <= LONG_MAX_VALUE)
+  },
+  string: {
+    fromBuffer: buf => buf.readBigInt64LE(0).toString(),
+    toBuffer: toLongBytes,
+    isValid: value => utils.isString(value) && /^-?\d+$/.test(value) && (LONG_MIN_VALUE <= BigInt(value) && BigInt(value) <= LONG_MAX_VALUE)
+  }
+}
+
+/**
+ * @param {Object} options Options of a DatumReader or DatumWriter.
+ * @returns {Object} The representation of long values to use.
+ */
+function getLongMode (options) {
+  const longMode = options === undefined || options.longMode === undefined ? 'number' : options.longMode
+  if (!utils.isString(longMode)) {
+    return longMode
+  } else if (!Object.prototype.hasOwnProperty.call(LONG_MODES, longMode)) {
+    throw new errors.AvroTypeError(`Unknown long mode: ${longMode}. Valid modes are ${Object.keys(LONG_MODES).join(', ')} or a custom long class.`, { value: longMode })
+  }
+  return LONG_MODES[longMode]
+}
+
+/**
+ * Convert a long value of the JSON encoding, a number, to a long mode.
+ */
+function fromLongNumber (longMode, n) {
+  return longMode === LONG_MODES.number ? n : longMode.fromBuffer(toLongBytes(n))
+}
+
+/**
+ * Convert a long value of a long mode to a number.
+ */
+function toLongNumber (longMode, value) {
+  return longMode === LONG_MODES.number ? value : Number(longMode.toBuffer(value).readBigInt64LE(0))
+}
+
+/**
+ * Convert a long value of a long mode to a number of the JSON encoding,
+ * failing when the number would not be exact.
+ *
+ * @param {Object} longMode
+ * @param {*} value
+ * @param {Schema} writersSchema
+ */
+function toJsonLong (longMode, value, writersSchema) {
+  if (longMode === LONG_MODES.number) {
+    return value
+  }
+  const n = longMode.toBuffer(value).readBigInt64LE(0)
+  if (n < BigInt(Number.MIN_SAFE_INTEGER) || n > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new errors.AvroTypeError(`The long ${n} cannot be represented exactly in the JSON encoding.`, { writersSchema, value })
+  }
+  return Number(n)
+}
+
+// Schema of the keys of maps, which are encoded as strings
+const MAP_KEY_SCHEMA = schema.parse('"string"')
+
+// Largest finite 32-bit float
+const FLOAT_MAX_VALUE = 3.4028234663852886e38
+
+/**
+ * Strict validation of a number against a numeric schema: ints and longs must
+ * be integers represented exactly, floats must not overflow 32 bits.
+ *
+ * @param {Schema} expectedSchema
+ * @param {*} datum
+ * @param {Object} options Options of the validation, with the long mode.
+ * @returns {string|undefined} Why the datum is invalid, undefined if it is valid.
+ */
+function checkNumber (expectedSchema, datum, options) {
+  const type = expectedSchema.type
+  if (type === 'long' && getLongMode(options) !== LONG_MODES.number) {
+    return getLongMode(options).isValid(datum) ? undefined : 'is not a valid long'
+  } else if (!utils.isNumber(datum)) {
+    return 'is not a number'
+  }
+
+  const n = Number(datum)
+  if (type === 'int' || type === 'long') {
+    if (!Number.isInteger(n)) {
+      return 'is not an integer'
+    } else if (type === 'int' && (n < INT_MIN_VALUE || n > INT_MAX_VALUE)) {
+      return 'is out of the range of ints'
+    } else if (type === 'long' && !Number.isSafeInteger(n)) {
+      return 'cannot be represented exactly, use a long mode other than number'
+    }
+  } else if (type === 'float' && Number.isFinite(n) && Math.abs(n) > FLOAT_MAX_VALUE) {
+    return 'overflows a 32-bit float'
+  }
+  return undefined
+}
 
 const _valid = {
   null: (s, d) => d === null,
   boolean: (s, d) => typeof d === 'boolean',
   string: (s, d) => utils.isString(d),
   bytes: (s, d) => Buffer.isBuffer(d),
-  int: (s, d) => utils.isNumber(d) && (INT_MIN_VALUE <= d && d <= INT_MAX_VALUE),
-  long: (s, d) => (utils.isNumber(d) && (LONG_MIN_VALUE <= d && d <= LONG_MAX_VALUE)),
-  float: (s, d) => utils.isNumber(d),
+  int: (s, d, o) => isStrict(o) ? checkNumber(s, d, o) === undefined : utils.isNumber(d) && (INT_MIN_VALUE <= d && d <= INT_MAX_VALUE),
+  long: (s, d, o) => isStrict(o) ? checkNumber(s, d, o) === undefined : getLongMode(o).isValid(d),
+  float: (s, d, o) => isStrict(o) ? checkNumber(s, d, o) === undefined : utils.isNumber(d),
   double: (s, d) => utils.isNumber(d),
   fixed: (s, d) => Buffer.isBuffer(d) && d.length === s.size,
   enum: (s, d) => s.symbols.includes(d),
@@ -40,28 +166,314 @@ const _valid = {
 _valid.error_union = _valid.union
 _valid.error = _valid.request = _valid.record
 
+function isStrict (options) {
+  return options !== undefined && options.strict === true
+}
+
 /**
  * Determines if a python datum is an instance of a schema.
  *
+ * With the `strict` option, numbers must be represented exactly by their
+ * schema: no fractional ints or longs, no ints out of range, no longs beyond
+ * Number.MAX_SAFE_INTEGER and no floats overflowing 32 bits.
+ *
  * @param {} expectedSchema Schema to validate against.
  * @param {} datum: Datum to validate.
  * @returns True if the datum is an instance of the schema.
  */
 function validate (expectedSchema, datum, options) {
   const logicalType = expectedSchema.logicalType
-  try {
-    if (logicalType !== undefined && options !== undefined && options.logicalTypes !== undefined && utils.isObject(options.logicalTypes[logicalType])) {
-      const logicalTypeObject = options.logicalTypes[logicalType]
-      return logicalTypeObject.validateBeforeToValue(datum, expectedSchema, options)
-    } else {
-      return _valid[expectedSchema.type](expectedSchema, datum, options)
+  if (logicalType !== undefined && options !== undefined && options.logicalTypes !== undefined && utils.isObject(options.logicalTypes[logicalType])) {
+    const logicalTypeObject = options.logicalTypes[logicalType]
+    return callLogicalType(logicalType, 'validateBeforeToValue', () => logicalTypeObject.validateBeforeToValue(datum, expectedSchema, options))
+  } else if (!Object.prototype.hasOwnProperty.call(_valid, expectedSchema.type)) {
+    throw new errors.AvroTypeError(`Unknown Avro schema type: ${expectedSchema.type}`, { writersSchema: expectedSchema })
+  }
+  return _valid[expectedSchema.type](expectedSchema, datum, options)
+}
+
+/**
+ * Call a function of the implementation of a logical type, wrapping what it
+ * throws in a LogicalTypeError. Promises are rejected the same way.
+ *
+ * @param {string} logicalType
+ * @param {string} functionName
+ * @param {Function} fn
+ */
+function callLogicalType (logicalType, functionName, fn) {
+  const wrap = (e) => {
+    if (e instanceof errors.AvroError) {
+      return e
     }
+    return new errors.LogicalTypeError(`The ${functionName} function of logical type ${logicalType} failed: ${e}`, { logicalType, cause: e })
+  }
+
+  let res
+  try {
+    res = fn()
   } catch (e) {
-    throw new Error(`Unknown Avro schema type: ${expectedSchema.type}`)
+    throw wrap(e)
+  }
+  if (res instanceof Promise) {
+    return res.catch(e => Promise.reject(wrap(e)))
   }
+  return res
 }
 
-function createSchemaResolutionError (failMessage, writersSchema, readerSchema) {
+/**
+ * Validate a datum, collecting every part of it which is not an instance of
+ * its schema.
+ *
+ * Options are the ones of `validate`, and:
+ *  * errorHook: Function called with each failure, as soon as it is found.
+ *
+ * @param {Schema} expectedSchema
+ * @param {*} datum
+ * @param {Object} options
+ * @returns {Array} The failures, each with the `path` of the value in the
+ *   datum (like `order.items[3].price`, empty for the datum itself), the
+ *   `expected` type, the actual `value` and a `message`. The expected type
+ *   is undefined for properties which are not fields of their record.
+ */
+function findValidationErrors (expectedSchema, datum, options) {
+  options = options || {}
+  const failures = []
+  collectValidationErrors(expectedSchema, datum, options, '', failures)
+  if (failures.length === 0 && !validate(expectedSchema, datum, options)) {
+    // Only rejected as a whole, by a logical type for instance
+    reportValidationError(expectedSchema, datum, options, '', failures)
+  }
+  return failures
+}
+
+function collectValidationErrors (expectedSchema, datum, options, path, failures) {
+  const logicalType = expectedSchema.logicalType
+  if (logicalType !== undefined && options.logicalTypes !== undefined && utils.isObject(options.logicalTypes[logicalType])) {
+    if (!validate(expectedSchema, datum, options)) {
+      reportValidationError(expectedSchema, datum, options, path, failures)
+    }
+    return
+  }
+
+  switch (expectedSchema.type) {
+    case 'array':
+      if (!Array.isArray(datum)) {
+        reportValidationError(expectedSchema, datum, options, path, failures)
+        return
+      }
+      datum.forEach((item, i) => collectValidationErrors(expectedSchema.items, item, options, `${path}[${i}]`, failures))
+      return
+    case 'map':
+      if (!utils.isObject(datum)) {
+        reportValidationError(expectedSchema, datum, options, path, failures)
+        return
+      }
+      for (const [key, value] of Object.entries(datum)) {
+        collectValidationErrors(expectedSchema.values, value, options, `${path}[${JSON.stringify(key)}]`, failures)
+      }
+      return
+    case 'union':
+    case 'error_union': {
+      if (validate(expectedSchema, datum, options)) {
+        return
+      }
+      // Look into the datum when there is a single branch it may be meant for:
+      // the one holding its values or, for numbers, the one it loosely matches
+      let branches = expectedSchema.schemas.filter(branch => isContainerOf(branch, datum))
+      if (branches.length === 0 && isStrict(options)) {
+        const looseOptions = { ...options, strict: false }
+        branches = expectedSchema.schemas.filter(branch => validate(branch, datum, looseOptions))
+      }
+      if (branches.length === 1) {
+        collectValidationErrors(branches[0], datum, options, path, failures)
+      } else {
+        reportValidationError(expectedSchema, datum, options, path, failures)
+      }
+      return
+    }
+    case 'record':
+    case 'error':
+    case 'request': {
+      if (!isContainerOf(expectedSchema, datum)) {
+        reportValidationError(expectedSchema, datum, options, path, failures)
+        return
+      }
+      const fieldNames = expectedSchema.fields.map(f => f.name)
+      for (const field of expectedSchema.fields) {
+        collectValidationErrors(field.type, datum[field.name], options, path === '' ? field.name : `${path}.${field.name}`, failures)
+      }
+      for (const key of Object.keys(datum).filter(k => !fieldNames.includes(k))) {
+        reportValidationError(undefined, datum[key], options, path === '' ? key : `${path}.${key}`, failures)
+      }
+      return
+    }
+    default:
+      if (!validate(expectedSchema, datum, options)) {
+        reportValidationError(expectedSchema, datum, options, path, failures)
+      }
+  }
+}
+
+/**
+ * Whether a datum has the JS type of the values of an array, map or record.
+ */
+function isContainerOf (containerSchema, datum) {
+  switch (containerSchema.type) {
+    case 'array':
+      return Array.isArray(datum)
+    case 'map':
+    case 'record':
+    case 'error':
+    case 'request':
+      return utils.isObject(datum) && !Array.isArray(datum) && !Buffer.isBuffer(datum)
+    default:
+      return false
+  }
+}
+
+/**
+ * Describe a schema by its name, or its type when it has none.
+ */
+function describeSchema (describedSchema) {
+  if (['union', 'error_union'].includes(describedSchema.type)) {
+    return describedSchema.schemas.map(describeSchema).join(' | ')
+  }
+  return constants.NAMED_TYPES.includes(describedSchema.type) ? describedSchema.fullname : describedSchema.type
+}
+
+function reportValidationError (expectedSchema, value, options, path, failures) {
+  let reason
+  if (expectedSchema === undefined) {
+    reason = 'is not a field of the record'
+  } else if (isStrict(options) && ['int', 'long', 'float', 'double'].includes(expectedSchema.type)) {
+    reason = checkNumber(expectedSchema, value, options)
+  }
+  if (reason === undefined) {
+    reason = `is not an instance of ${describeSchema(expectedSchema)}`
+  }
+
+  const text = utils.isNumber(value) ? String(value) : JSON.stringify(value, stringifyBigInt)
+  const error = {
+    path,
+    expected: expectedSchema === undefined ? undefined : describeSchema(expectedSchema),
+    value,
+    message: `${path === '' ? 'datum' : path}: ${text} ${reason}.`
+  }
+  failures.push(error)
+  if (options.errorHook !== undefined) {
+    options.errorHook(error)
+  }
+}
+
+/**
+ * Name of a union branch in the JSON encoding: the fullname for named types,
+ * the type otherwise.
+ *
+ * @param {Schema} branchSchema
+ */
+function branchName (branchSchema) {
+  return branchSchema.fullname === undefined ? branchSchema.type : branchSchema.fullname
+}
+
+/**
+ * Non-finite numbers have no JSON representation, they are encoded as strings.
+ */
+function toJsonNumber (n) {
+  return Number.isFinite(n) ? n : String(n)
+}
+
+function fromJsonNumber (n) {
+  return ['NaN', 'Infinity', '-Infinity'].includes(n) ? Number(n) : n
+}
+
+/**
+ * Convert a datum read with the writer's schema to the type of the reader's
+ * schema it was promoted to.
+ *
+ * @param {Schema} writersSchema
+ * @param {Schema} readersSchema
+ * @param {*} datum
+ * @param {Object} longMode Representation of the long values.
+ */
+function promote (writersSchema, readersSchema, datum, longMode) {
+  const wType = writersSchema.type
+  const rType = readersSchema.type
+  if (wType === 'long' && ['float', 'double'].includes(rType)) {
+    datum = toLongNumber(longMode, datum)
+  }
+
+  if (rType === 'float' && ['int', 'long'].includes(wType)) {
+    return Math.fround(datum)
+  } else if (wType === 'int' && rType === 'long') {
+    return fromLongNumber(longMode, datum)
+  } else if (wType === 'string' && rType === 'bytes') {
+    return Buffer.from(datum, 'utf8')
+  } else if (wType === 'bytes' && rType === 'string') {
+    return datum.toString('utf8')
+  }
+  return datum
+}
+
+/**
+ * Resolve a symbol of the writer's enum: itself when the reader knows it,
+ * else the reader's default symbol.
+ *
+ * @param {Schema} writersSchema
+ * @param {Schema} readersSchema
+ * @param {string} symbol
+ */
+function resolveSymbol (writersSchema, readersSchema, symbol) {
+  if (readersSchema.symbols.includes(symbol)) {
+    return symbol
+  } else if (readersSchema.default !== undefined) {
+    return readersSchema.default
+  }
+  throw createSchemaResolutionError(`Symbol ${symbol} not present in Reader's Schema`, writersSchema, readersSchema)
+}
+
+/**
+ * Check that a tap holds a number of bytes from its position.
+ *
+ * @param {Tap} tap
+ * @param {number} size
+ * @param {string} what Description of the bytes, for the error.
+ */
+function checkBounds (tap, size, what) {
+  if (tap.pos + size > tap.buf.length) {
+    throw new errors.TruncatedDataError(`Truncated ${what} at offset ${tap.pos}.`, { offset: tap.pos })
+  }
+}
+
+/**
+ * Check that a varint of a type, int or long, is at the position of a tap.
+ * It must end within the tap and fit in the type.
+ *
+ * @param {Tap} tap
+ * @param {string} type
+ */
+function checkVarint (tap, type) {
+  const maxLength = type === 'int' ? 5 : 10
+  // Bits left in the last byte of a varint of the maximal length
+  const maxLastByte = type === 'int' ? 0x0f : 0x01
+  const buf = tap.buf
+  let length = 0
+  let b
+  do {
+    checkBounds(tap, length + 1, type)
+    b = buf[tap.pos + length++]
+  } while ((b & 0x80) && length < maxLength)
+  if ((b & 0x80) || (length === maxLength && b > maxLastByte)) {
+    throw new errors.CorruptDataError(`Out of range ${type} at offset ${tap.pos}.`, { offset: tap.pos })
+  }
+}
+
+/**
+ * @param {string} failMessage
+ * @param {Schema} writersSchema
+ * @param {Schema} readerSchema
+ * @param {Tap} tap Tap of the data being read, for its position.
+ */
+function createSchemaResolutionError (failMessage, writersSchema, readerSchema, tap) {
   if (writersSchema !== undefined) {
     failMessage += `\nWriter's Schema: ${JSON.stringify(writersSchema, undefined, 2)}`
   }
@@ -69,11 +481,29 @@ function createSchemaResolutionError (failMessage, writersSchema, readerSchema)
     failMessage += `\nReader's Schema: ${JSON.stringify(readerSchema, undefined, 2)}`
   }
 
-  return new Error(failMessage)
+  return new errors.SchemaResolutionError(failMessage, { writersSchema, readersSchema: readerSchema, offset: tap === undefined ? undefined : tap.pos })
+}
+
+/**
+ * JSON.stringify replacer for the BigInts of the bigint long mode.
+ */
+function stringifyBigInt (key, value) {
+  return typeof value === 'bigint' ? value.toString() : value
 }
 
 function createAvroTypeError (expectedSchema, datum) {
-  return new Error(`The datum ${JSON.stringify(datum)} is not an example of the schema ${JSON.stringify(expectedSchema, undefined, 2)}`)
+  return new errors.AvroTypeError(`The datum ${JSON.stringify(datum, stringifyBigInt)} is not an example of the schema ${JSON.stringify(expectedSchema, undefined, 2)}`, { writersSchema: expectedSchema, value: datum })
+}
+
+/**
+ * @param {Schema} expectedSchema
+ * @param {*} value
+ * @param {string} path Path of the value in the JSON value read, as in
+ *   findValidationErrors.
+ */
+function createJsonTypeError (expectedSchema, value, path) {
+  const where = path === '' ? '' : ` at ${path}`
+  return new errors.AvroTypeError(`The JSON value ${JSON.stringify(value)}${where} is not an encoding of the schema ${JSON.stringify(expectedSchema, undefined, 2)}`, { writersSchema: expectedSchema, value, path })
 }
 
 /**
@@ -89,6 +519,36 @@ class DatumReader {
     return true
   }
 
+  /**
+   * Named types match when the unqualified name of the writer's schema is the
+   * one of the reader's schema or of one of its aliases.
+   */
+  static matchNames (writersSchema, readersSchema) {
+    const unqualified = fullname => fullname.slice(fullname.lastIndexOf('.') + 1)
+    const writersName = unqualified(writersSchema.fullname)
+    return [readersSchema.fullname].concat(readersSchema.aliases).some(name => unqualified(name) === writersName)
+  }
+
+  /**
+   * Match the fields of two records, by the name or the aliases of the
+   * reader's fields.
+   *
+   * @param {Schema} writersSchema
+   * @param {Schema} readersSchema
+   * @returns {Object} The reader's fields, by the name of the writer's field they read.
+   */
+  static resolveFields (writersSchema, readersSchema) {
+    const writersFieldsDict = writersSchema.fieldsDict
+    const readersFields = {}
+    for (const field of readersSchema.fields) {
+      const name = [field.name].concat(field.aliases).find(n => Object.prototype.hasOwnProperty.call(writersFieldsDict, n))
+      if (name !== undefined && readersFields[name] === undefined) {
+        readersFields[name] = field
+      }
+    }
+    return readersFields
+  }
+
   static matchSchemas (writersSchema, readersSchema) {
     const wType = writersSchema.type
     const rType = readersSchema.type
@@ -96,19 +556,19 @@ class DatumReader {
       return true // Can we do more checks around this to fail earlier?
     } else if (constants.PRIMITIVE_TYPES.includes(wType) && constants.PRIMITIVE_TYPES.includes(rType) && wType === rType) {
       return true
-    } else if (wType === 'record' && rType === 'record' && DatumReader.checkProps(writersSchema, readersSchema, ['fullname'])) {
+    } else if (wType === 'record' && rType === 'record' && DatumReader.matchNames(writersSchema, readersSchema)) {
       return true
-    } else if (wType === 'error' && rType === 'error' && DatumReader.checkProps(writersSchema, readersSchema, ['fullname'])) {
+    } else if (wType === 'error' && rType === 'error' && DatumReader.matchNames(writersSchema, readersSchema)) {
       return true
     } else if (wType === 'request' && rType === 'request') {
       return true
-    } else if (wType === 'fixed' && rType === 'fixed' && DatumReader.checkProps(writersSchema, readersSchema, ['fullname', 'size'])) {
+    } else if (wType === 'fixed' && rType === 'fixed' && DatumReader.matchNames(writersSchema, readersSchema) && writersSchema.size === readersSchema.size) {
       return true
-    } else if (wType === 'enum' && rType === 'enum' && DatumReader.checkProps(writersSchema, readersSchema, ['fullname'])) {
+    } else if (wType === 'enum' && rType === 'enum' && DatumReader.matchNames(writersSchema, readersSchema)) {
       return true
-    } else if (wType === 'map' && rType === 'map' && DatumReader.checkProps(writersSchema.values, readersSchema.values, ['type'])) {
+    } else if (wType === 'map' && rType === 'map' && DatumReader.matchSchemas(writersSchema.values, readersSchema.values)) {
       return true
-    } else if (wType === 'array' && rType === 'array' && DatumReader.checkProps(writersSchema.items, readersSchema.items, ['type'])) {
+    } else if (wType === 'array' && rType === 'array' && DatumReader.matchSchemas(writersSchema.items, readersSchema.items)) {
       return true
     }
 
@@ -119,19 +579,56 @@ class DatumReader {
       return true
     } else if (wType === 'float' && rType === 'double') {
       return true
+    } else if (wType === 'string' && rType === 'bytes') {
+      return true
+    } else if (wType === 'bytes' && rType === 'string') {
+      return true
     }
     return false
   }
 
+  /**
+   * Find the branch of the reader's union used to read data written with a
+   * schema that is not a union: the first branch of the same type, or failing
+   * that the first one the data can be promoted to.
+   *
+   * @param {Schema} writersSchema
+   * @param {Schema} readersSchema A union.
+   * @returns {Schema} The branch, undefined when none matches.
+   */
+  static resolveBranch (writersSchema, readersSchema) {
+    const branches = readersSchema.schemas.filter(s => DatumReader.matchSchemas(writersSchema, s))
+    const sameType = branches.find(s => s.type === writersSchema.type)
+    return sameType === undefined ? branches[0] : sameType
+  }
+
   /**
    * As defined in the Avro specification, we call the schema encoded
    * in the data the "writer's schema", and the schema expected by the
    * reader the "reader's schema".
+   *
+   * Options:
+   *  * logicalTypes: Implementations of logical types, by name.
+   *  * longMode: Representation of long values, see LONG_MODES. Longs of
+   *    the JSON encoding which numbers do not represent exactly are rejected.
+   *  * safe: Check the data before each read, failing with a
+   *    TruncatedDataError or CorruptDataError instead of decoding garbage.
+   *  * checkConsumed: Fail with a CorruptDataError when a read datum is
+   *    followed by more data.
+   *
+   * Limits, for data from untrusted sources:
+   *  * maxItems: Maximum number of items of an array or map.
+   *  * maxLength: Maximum length of bytes and strings, map keys included.
+   *  * maxDepth: Maximum nesting of arrays, maps and records, a datum of one
+   *    of these types being at depth 1.
+   *  * maxSize: Maximum number of bytes of a read datum.
+   * Going over a limit fails with the matching LimitExceededError.
    */
   constructor (writersSchema, readersSchema, options) {
     this.writersSchema = writersSchema
     this.readersSchema = readersSchema
     this.options = options || {}
+    this.longMode = getLongMode(this.options)
   }
 
   /**
@@ -140,12 +637,150 @@ class DatumReader {
    *
    * @returns {Promise} Promise resolving with the read data.
    */
-  read (tap) {
+  async read (tap) {
     if (this.readersSchema === undefined) {
       this.readersSchema = this.writersSchema
     }
 
-    return this.readData(this.writersSchema, this.readersSchema, tap)
+    const maxSize = this.options.maxSize
+    const datum = maxSize === undefined || tap.buf.length - tap.pos <= maxSize
+      ? await this.readData(this.writersSchema, this.readersSchema, tap)
+      : await this.readWithinSize(tap, maxSize)
+    if (this.options.checkConsumed && tap.pos !== tap.buf.length) {
+      throw new errors.CorruptDataError(`Unexpected data after the datum at offset ${tap.pos}.`, { offset: tap.pos })
+    }
+    return datum
+  }
+
+  /**
+   * Read a datum from a tap without going further than a number of bytes
+   * from its position.
+   *
+   * @param {Tap} tap
+   * @param {number} maxSize
+   */
+  async readWithinSize (tap, maxSize) {
+    const start = tap.pos
+    const limitedTap = new Tap(tap.buf.subarray(0, start + maxSize), start)
+    const createSizeLimitError = cause => new errors.SizeLimitError(
+      `Datum larger than the limit of ${maxSize} bytes at offset ${start}.`, { limit: maxSize, offset: start, cause })
+
+    let datum
+    try {
+      datum = await this.readData(this.writersSchema, this.readersSchema, limitedTap)
+    } catch (err) {
+      throw err instanceof errors.TruncatedDataError ? createSizeLimitError(err) : err
+    }
+    if (!limitedTap.isValid()) {
+      throw createSizeLimitError()
+    }
+    tap.pos = limitedTap.pos
+    return datum
+  }
+
+  /**
+   * In safe mode, check that the data at the position of a tap holds a value
+   * of a primitive or fixed schema. The length of bytes and strings is also
+   * checked against the `maxLength` limit. The tap is not moved.
+   *
+   * @param {Schema} writersSchema
+   * @param {Tap} tap
+   */
+  checkPrimitive (writersSchema, tap) {
+    const { safe, maxLength } = this.options
+    if (['string', 'bytes'].includes(writersSchema.type) && (safe || maxLength !== undefined)) {
+      const start = tap.pos
+      const length = this.readLength(tap)
+      tap.pos = start
+      if (maxLength !== undefined && length > maxLength) {
+        throw new errors.LengthLimitError(`Length ${length} over the limit of ${maxLength} at offset ${start}.`, { limit: maxLength, offset: start })
+      }
+    }
+    if (!safe) {
+      return
+    }
+
+    switch (writersSchema.type) {
+      case 'boolean':
+        checkBounds(tap, 1, 'boolean')
+        if (tap.buf[tap.pos] > 1) {
+          throw new errors.CorruptDataError(`Invalid boolean at offset ${tap.pos}.`, { offset: tap.pos })
+        }
+        break
+      case 'int':
+      case 'long':
+        checkVarint(tap, writersSchema.type)
+        break
+      case 'float':
+        checkBounds(tap, 4, 'float')
+        break
+      case 'double':
+        checkBounds(tap, 8, 'double')
+        break
+      case 'fixed':
+        checkBounds(tap, writersSchema.size, 'fixed')
+        break
+    }
+  }
+
+  /**
+   * Check the `maxItems` limit once the number of items of an array or map
+   * is known up to its current block.
+   *
+   * @param {Tap} tap
+   * @param {number} itemCount
+   */
+  checkItemCount (tap, itemCount) {
+    const maxItems = this.options.maxItems
+    if (maxItems !== undefined && itemCount > maxItems) {
+      throw new errors.ItemLimitError(`More than the limit of ${maxItems} items at offset ${tap.pos}.`, { limit: maxItems, offset: tap.pos })
+    }
+  }
+
+  /**
+   * Enter an array, map or record, checking the `maxDepth` limit.
+   *
+   * @param {Tap} tap
+   * @param {number} depth Depth of the enclosing datum, 0 at the top level.
+   * @returns {number} Depth of the entered datum.
+   */
+  enterContainer (tap, depth) {
+    const maxDepth = this.options.maxDepth
+    if (maxDepth !== undefined && depth >= maxDepth) {
+      throw new errors.DepthLimitError(`Nesting deeper than the limit of ${maxDepth} at offset ${tap.pos}.`, { limit: maxDepth, offset: tap.pos })
+    }
+    return depth + 1
+  }
+
+  /**
+   * Read a varint of a type, int or long, which is checked in safe mode.
+   *
+   * @param {Tap} tap
+   * @param {string} type
+   */
+  readVarint (tap, type = 'long') {
+    if (this.options.safe) {
+      checkVarint(tap, type)
+    }
+    return tap.readLong()
+  }
+
+  /**
+   * Read the length of bytes, a string or a block. In safe mode, it must be
+   * positive and the data must hold as many bytes.
+   *
+   * @param {Tap} tap
+   */
+  readLength (tap) {
+    const start = tap.pos
+    const length = this.readVarint(tap)
+    if (this.options.safe) {
+      if (length < 0) {
+        throw new errors.CorruptDataError(`Negative length ${length} at offset ${start}.`, { offset: start })
+      }
+      checkBounds(tap, length, `data of length ${length}`)
+    }
+    return length
   }
 
   /**
@@ -153,25 +788,27 @@ class DatumReader {
    * @param {Schema} writersSchema
    * @param {Schema} readersSchema
    * @param {Tap} tap
+   * @param {number} depth Depth of the enclosing datum, 0 at the top level.
    *
    * @returns {Promise} Promise resolving with the read data.
    */
-  async readData (writersSchema, readersSchema, tap) {
+  async readData (writersSchema, readersSchema, tap, depth = 0) {
     // schema matching
     if (!DatumReader.matchSchemas(writersSchema, readersSchema)) {
-      return Promise.reject(createSchemaResolutionError('Schemas do not match.', writersSchema, readersSchema))
+      return Promise.reject(createSchemaResolutionError('Schemas do not match.', writersSchema, readersSchema, tap))
     }
 
     // schema resolution: reader's schema is a union, writer's schema is not
     if (!['union', 'error_union'].includes(writersSchema.type) && ['union', 'error_union'].includes(readersSchema.type)) {
-      for (const s of readersSchema.schemas) {
-        if (DatumReader.matchSchemas(writersSchema, s)) {
-          return this.readData(writersSchema, s, tap)
-        }
+      const branch = DatumReader.resolveBranch(writersSchema, readersSchema)
+      if (branch === undefined) {
+        return Promise.reject(createSchemaResolutionError('Schemas do not match.', writersSchema, readersSchema, tap))
       }
-      return Promise.reject(createSchemaResolutionError('Schemas do not match.', writersSchema, readersSchema))
+      return this.readData(writersSchema, branch, tap, depth)
     }
 
+    this.checkPrimitive(writersSchema, tap)
+
     let datum
     // function dispatch for reading data based on type of writer's schema
     switch (writersSchema.type) {
@@ -188,7 +825,7 @@ class DatumReader {
         datum = await tap.readInt()
         break
       case 'long':
-        datum = await tap.readLong()
+        datum = this.longMode === LONG_MODES.number ? tap.readLong() : this.longMode.fromBuffer(tap.unpackLongBytes())
         break
       case 'float':
         datum = await tap.readFloat()
@@ -206,29 +843,39 @@ class DatumReader {
         datum = await this.readEnum(writersSchema, readersSchema, tap)
         break
       case 'array':
-        datum = await this.readArray(writersSchema, readersSchema, tap)
+        datum = await this.readArray(writersSchema, readersSchema, tap, depth)
         break
       case 'map':
-        datum = await this.readMap(writersSchema, readersSchema, tap)
+        datum = await this.readMap(writersSchema, readersSchema, tap, depth)
         break
       case 'union':
       case 'error_union':
-        datum = await this.readUnion(writersSchema, readersSchema, tap)
+        datum = await this.readUnion(writersSchema, readersSchema, tap, depth)
         break
       case 'record':
       case 'error':
       case 'request':
-        datum = await this.readRecord(writersSchema, readersSchema, tap)
+        datum = await this.readRecord(writersSchema, readersSchema, tap, depth)
         break
       default:
-        throw new Error(`Cannot read unknown schema type: ${writersSchema.type}`)
+        throw new errors.AvroTypeError(`Cannot read unknown schema type: ${writersSchema.type}`, { writersSchema, readersSchema })
     }
 
+    return this.fromLogicalValue(readersSchema, promote(writersSchema, readersSchema, datum, this.longMode))
+  }
+
+  /**
+   * Convert a read datum with the logical type of the reader's schema, if any.
+   *
+   * @param {Schema} readersSchema
+   * @param {*} datum
+   */
+  async fromLogicalValue (readersSchema, datum) {
     const logicalType = readersSchema.logicalType
     if (logicalType !== undefined && this.options.logicalTypes !== undefined && utils.isObject(this.options.logicalTypes[logicalType])) {
       const logicalTypeObject = this.options.logicalTypes[logicalType]
-      if (logicalTypeObject.validateBeforeFromValue(datum, readersSchema, this.options)) {
-        return logicalTypeObject.fromValue(datum, readersSchema)
+      if (callLogicalType(logicalType, 'validateBeforeFromValue', () => logicalTypeObject.validateBeforeFromValue(datum, readersSchema, this.options))) {
+        return callLogicalType(logicalType, 'fromValue', () => logicalTypeObject.fromValue(datum, readersSchema))
       } else {
         // TODO: Logging this some way would be nice, the spec says to ignore it.
       }
@@ -237,18 +884,182 @@ class DatumReader {
     return datum
   }
 
+  /**
+   * Decode a datum from the Avro JSON encoding.
+   *
+   * @param {string} json
+   *
+   * @returns {Promise} Promise resolving with the read data.
+   */
+  readJson (json) {
+    if (this.readersSchema === undefined) {
+      this.readersSchema = this.writersSchema
+    }
+
+    let value
+    try {
+      value = JSON.parse(json)
+    } catch (e) {
+      return Promise.reject(new errors.AvroTypeError(`Error parsing JSON: ${json}, error = ${e}`, { writersSchema: this.writersSchema, cause: e }))
+    }
+    return this.readJsonData(this.writersSchema, this.readersSchema, value)
+  }
+
+  /**
+   * JSON counterpart of readData, decoding from an already parsed JSON value.
+   *
+   * @param {Schema} writersSchema
+   * @param {Schema} readersSchema
+   * @param {*} value
+   * @param {string} path Path of the value, for errors.
+   *
+   * @returns {Promise} Promise resolving with the read data.
+   */
+  async readJsonData (writersSchema, readersSchema, value, path = '') {
+    // schema matching
+    if (!DatumReader.matchSchemas(writersSchema, readersSchema)) {
+      throw createSchemaResolutionError('Schemas do not match.', writersSchema, readersSchema)
+    }
+
+    // schema resolution: reader's schema is a union, writer's schema is not
+    if (!['union', 'error_union'].includes(writersSchema.type) && ['union', 'error_union'].includes(readersSchema.type)) {
+      const branch = DatumReader.resolveBranch(writersSchema, readersSchema)
+      if (branch === undefined) {
+        throw createSchemaResolutionError('Schemas do not match.', writersSchema, readersSchema)
+      }
+      return this.readJsonData(writersSchema, branch, value, path)
+    }
+
+    let datum
+    switch (writersSchema.type) {
+      case 'float':
+      case 'double':
+        datum = fromJsonNumber(value)
+        break
+      case 'bytes':
+      case 'fixed':
+        datum = utils.isString(value) ? Buffer.from(value, 'latin1') : value
+        break
+      case 'enum':
+        if (!writersSchema.symbols.includes(value)) {
+          throw createJsonTypeError(writersSchema, value, path)
+        }
+        datum = resolveSymbol(writersSchema, readersSchema, value)
+        break
+      case 'array':
+        if (!Array.isArray(value)) {
+          throw createJsonTypeError(writersSchema, value, path)
+        }
+        datum = []
+        for (let i = 0; i < value.length; i++) {
+          datum.push(await this.readJsonData(writersSchema.items, readersSchema.items, value[i], `${path}[${i}]`))
+        }
+        break
+      case 'map':
+        if (!utils.isObject(value) || Array.isArray(value)) {
+          throw createJsonTypeError(writersSchema, value, path)
+        }
+        datum = {}
+        for (const [key, item] of Object.entries(value)) {
+          datum[key] = await this.readJsonData(writersSchema.values, readersSchema.values, item, `${path}[${JSON.stringify(key)}]`)
+        }
+        break
+      case 'union':
+      case 'error_union':
+        return this.readJsonUnion(writersSchema, readersSchema, value, path)
+      case 'record':
+      case 'error':
+      case 'request':
+        datum = await this.readJsonRecord(writersSchema, readersSchema, value, path)
+        break
+      default:
+        if (!constants.PRIMITIVE_TYPES.includes(writersSchema.type)) {
+          throw new errors.AvroTypeError(`Cannot read unknown schema type: ${writersSchema.type}`, { writersSchema, readersSchema, path })
+        }
+        datum = value
+    }
+
+    const isLeaf = constants.PRIMITIVE_TYPES.includes(writersSchema.type) || writersSchema.type === 'fixed'
+    if (isLeaf && !validate(writersSchema, datum)) {
+      throw createJsonTypeError(writersSchema, value, path)
+    }
+    if (writersSchema.type === 'long') {
+      // Other long modes are exact, numbers which are not cannot be read
+      if (!Number.isInteger(datum) || (this.longMode !== LONG_MODES.number && !Number.isSafeInteger(datum))) {
+        throw createJsonTypeError(writersSchema, value, path)
+      }
+      datum = fromLongNumber(this.longMode, datum)
+    }
+
+    return this.fromLogicalValue(readersSchema, promote(writersSchema, readersSchema, datum, this.longMode))
+  }
+
+  /**
+   * In the JSON encoding, a union is encoded as null when its branch is null,
+   * otherwise as an object with a single property: the name of the branch
+   * mapped to the value.
+   *
+   * @param {Schema} writersSchema
+   * @param {Schema} readersSchema
+   * @param {*} value
+   * @param {string} path
+   */
+  async readJsonUnion (writersSchema, readersSchema, value, path) {
+    let selectedWritersSchema
+    let branchValue = value
+    if (value === null) {
+      selectedWritersSchema = writersSchema.schemas.find(s => s.type === 'null')
+    } else if (utils.isObject(value) && Object.keys(value).length === 1) {
+      const name = Object.keys(value)[0]
+      selectedWritersSchema = writersSchema.schemas.find(s => branchName(s) === name)
+      branchValue = value[name]
+    }
+
+    if (selectedWritersSchema === undefined) {
+      throw createJsonTypeError(writersSchema, value, path)
+    }
+    return this.readJsonData(selectedWritersSchema, readersSchema, branchValue, path)
+  }
+
+  /**
+   * @param {Schema} writersSchema
+   * @param {Schema} readersSchema
+   * @param {Object} value
+   * @param {string} path
+   */
+  async readJsonRecord (writersSchema, readersSchema, value, path) {
+    if (!utils.isObject(value) || Array.isArray(value)) {
+      throw createJsonTypeError(writersSchema, value, path)
+    }
+
+    const readersFields = DatumReader.resolveFields(writersSchema, readersSchema)
+    const readRecord = {}
+    for (const field of writersSchema.fields) {
+      const readersField = readersFields[field.name]
+      if (readersField !== undefined) {
+        readRecord[readersField.name] = await this.readJsonData(field.type, readersField.type, value[field.name], path === '' ? field.name : `${path}.${field.name}`)
+      }
+    }
+
+    await this.readMissingFields(writersSchema, readersSchema, readRecord)
+    return readRecord
+  }
+
   /**
    *
    * @param {*} writersSchema
    * @param {Tap} tap
+   * @param {number} depth Depth of the enclosing datum, 0 at the top level.
    */
-  skipData (writersSchema, tap) {
+  skipData (writersSchema, tap, depth = 0) {
+    this.checkPrimitive(writersSchema, tap)
+
     switch (writersSchema.type) {
       case 'null': return
       case 'boolean':
         return tap.skipBoolean()
       case 'string':
-        return tap.skipUtf8()
+        return tap.skipString()
       case 'int':
         return tap.skipInt()
       case 'long':
@@ -264,18 +1075,18 @@ class DatumReader {
       case 'enum':
         return this.skipEnum(writersSchema, tap)
       case 'array':
-        return this.skipArray(writersSchema, tap)
+        return this.skipArray(writersSchema, tap, depth)
       case 'map':
-        return this.skipMap(writersSchema, tap)
+        return this.skipMap(writersSchema, tap, depth)
       case 'union':
       case 'error_union':
-        return this.skipUnion(writersSchema, tap)
+        return this.skipUnion(writersSchema, tap, depth)
       case 'record':
       case 'error':
       case 'request':
-        return this.skipRecord(writersSchema, tap)
+        return this.skipRecord(writersSchema, tap, depth)
       default:
-        throw new Error(`Unknown schema type: ${writersSchema.type}`)
+        throw new errors.AvroTypeError(`Unknown schema type: ${writersSchema.type}`, { writersSchema })
     }
   }
 
@@ -288,22 +1099,19 @@ class DatumReader {
    */
   async readEnum (writersSchema, readersSchema, tap) {
     // read data
-    const indexOfSymbol = tap.readInt()
-    if (indexOfSymbol >= writersSchema.symbols.length) {
+    const indexOfSymbol = this.readVarint(tap, 'int')
+    if (indexOfSymbol < 0 || indexOfSymbol >= writersSchema.symbols.length) {
       throw createSchemaResolutionError(
         `Can't access enum index ${indexOfSymbol} for enum with ${writersSchema.symbols.length} symbols`,
         writersSchema,
-        readersSchema
+        readersSchema,
+        tap
       )
     }
     const readSymbol = writersSchema.symbols[indexOfSymbol]
 
     // schema resolution
-    if (!readersSchema.symbols.includes(readSymbol)) {
-      throw createSchemaResolutionError(`Symbol ${readSymbol} not present in Reader's Schema`, writersSchema, readersSchema)
-    }
-
-    return readSymbol
+    return resolveSymbol(writersSchema, readersSchema, readSymbol)
   }
 
   /**
@@ -311,7 +1119,7 @@ class DatumReader {
    * @param {Tap} tap
    */
   skipEnum (writersSchema, tap) {
-    return tap.skipInt()
+    this.readVarint(tap, 'int')
   }
 
   /**
@@ -330,20 +1138,23 @@ class DatumReader {
    * @param {Schema} writersSchema
    * @param {Schema} readersSchema
    * @param {Tap} tap
+   * @param {number} depth
    */
-  async readArray (writersSchema, readersSchema, tap) {
+  async readArray (writersSchema, readersSchema, tap, depth = 0) {
+    depth = this.enterContainer(tap, depth)
     const readItems = []
-    let blockCount = tap.readLong()
+    let blockCount = this.readVarint(tap)
     while (blockCount !== 0) {
       if (blockCount < 0) {
         blockCount = -blockCount
         // Block size
-        tap.readLong()
+        this.readLength(tap)
       }
+      this.checkItemCount(tap, readItems.length + blockCount)
       for (let i = 0; i < blockCount; i++) {
-        readItems.push(await this.readData(writersSchema.items, readersSchema.items, tap))
+        readItems.push(await this.readData(writersSchema.items, readersSchema.items, tap, depth))
       }
-      blockCount = tap.readLong()
+      blockCount = this.readVarint(tap)
     }
     return readItems
   }
@@ -351,19 +1162,24 @@ class DatumReader {
   /**
    * @param {Schema} writersSchema
    * @param {Tap} tap
+   * @param {number} depth
    */
-  skipArray (writersSchema, tap) {
-    let blockCount = tap.readLong()
+  skipArray (writersSchema, tap, depth = 0) {
+    depth = this.enterContainer(tap, depth)
+    let itemCount = 0
+    let blockCount = this.readVarint(tap)
     while (blockCount !== 0) {
+      itemCount += Math.abs(blockCount)
+      this.checkItemCount(tap, itemCount)
       if (blockCount < 0) {
-        const blockSize = tap.readLong()
-        tap.skip(blockSize)
+        const blockSize = this.readLength(tap)
+        tap.pos += blockSize
       } else {
         for (let i = 0; i < blockCount; i++) {
-          this.skipData(writersSchema.items, tap)
+          this.skipData(writersSchema.items, tap, depth)
         }
       }
-      blockCount = tap.readLong()
+      blockCount = this.readVarint(tap)
     }
   }
 
@@ -383,20 +1199,27 @@ class DatumReader {
    * @param {Schema} writersSchema
    * @param {Schema} readersSchema
    * @param {Tap} tap
+   * @param {number} depth
    */
-  async readMap (writersSchema, readersSchema, tap) {
+  async readMap (writersSchema, readersSchema, tap, depth = 0) {
+    depth = this.enterContainer(tap, depth)
     const readItems = {}
-    let blockCount = tap.readLong()
+    let itemCount = 0
+    let blockCount = this.readVarint(tap)
     while (blockCount !== 0) {
       if (blockCount < 0) {
         blockCount = -blockCount
-        blockCount = tap.readLong()
+        // Block size
+        this.readLength(tap)
       }
+      itemCount += blockCount
+      this.checkItemCount(tap, itemCount)
       for (let i = 0; i < blockCount; i++) {
+        this.checkPrimitive(MAP_KEY_SCHEMA, tap)
         const key = tap.readString()
-        readItems[key] = await this.readData(writersSchema.values, readersSchema.values, tap)
+        readItems[key] = await this.readData(writersSchema.values, readersSchema.values, tap, depth)
       }
-      blockCount = tap.readLong()
+      blockCount = this.readVarint(tap)
     }
     return readItems
   }
@@ -404,20 +1227,25 @@ class DatumReader {
   /**
    * @param {Schema} writersSchema
    * @param {Tap} tap
+   * @param {number} depth
    */
-  skipMap (writersSchema, tap) {
-    let blockCount = tap.readLong()
+  skipMap (writersSchema, tap, depth = 0) {
+    depth = this.enterContainer(tap, depth)
+    let itemCount = 0
+    let blockCount = this.readVarint(tap)
     while (blockCount !== 0) {
+      itemCount += Math.abs(blockCount)
+      this.checkItemCount(tap, itemCount)
       if (blockCount < 0) {
-        const blockSize = tap.readLong()
-        tap.skip(blockSize)
+        const blockSize = this.readLength(tap)
+        tap.pos += blockSize
       } else {
         for (let i = 0; i < blockCount; i++) {
-          tap.skipString()
-          this.skipData(writersSchema.values, tap)
+          this.skipData(MAP_KEY_SCHEMA, tap)
+          this.skipData(writersSchema.values, tap, depth)
         }
       }
-      blockCount = tap.readLong()
+      blockCount = this.readVarint(tap)
     }
   }
 
@@ -428,40 +1256,45 @@ class DatumReader {
    * @param {Schema} writersSchema
    * @param {Schema} readersSchema
    * @param {Tap} tap
+   * @param {number} depth
    */
-  async readUnion (writersSchema, readersSchema, tap) {
+  async readUnion (writersSchema, readersSchema, tap, depth = 0) {
     // schema resolution
-    const indexOfSchema = tap.readLong()
-    if (indexOfSchema >= writersSchema.schemas.length) {
+    const indexOfSchema = this.readVarint(tap)
+    if (indexOfSchema < 0 || indexOfSchema >= writersSchema.schemas.length) {
       throw createSchemaResolutionError(
         `Can't access branch index ${indexOfSchema} for union with ${writersSchema.schemas.length} branches`,
         writersSchema,
-        readersSchema
+        readersSchema,
+        tap
       )
     }
     const selectedWritersSchema = writersSchema.schemas[indexOfSchema]
 
     // read data
-    return this.readData(selectedWritersSchema, readersSchema, tap)
+    return this.readData(selectedWritersSchema, readersSchema, tap, depth)
   }
 
   /**
    * @param {Schema} writersSchema
    * @param {Schema} readersSchema
    * @param {Tap} tap
+   * @param {number} depth
    */
-  skipUnion (writersSchema, tap) {
-    const indexOfSchema = tap.readLong()
-    if (indexOfSchema >= writersSchema.schemas.length) {
+  skipUnion (writersSchema, tap, depth = 0) {
+    const indexOfSchema = this.readVarint(tap)
+    if (indexOfSchema < 0 || indexOfSchema >= writersSchema.schemas.length) {
       // fail_msg = "Can't access branch index %d for union with %d branches"\
       //           % (indexOfSchema, len(writersSchema.schemas))
       // raise SchemaResolutionException(fail_msg, writersSchema)
       throw createSchemaResolutionError(
         `Can't access branch index ${indexOfSchema} for union with ${writersSchema.schemas.length} branches`,
-        writersSchema
+        writersSchema,
+        undefined,
+        tap
       )
     }
-    return this.skipData(writersSchema.schemas[indexOfSchema], tap)
+    return this.skipData(writersSchema.schemas[indexOfSchema], tap, depth)
   }
 
   /**
@@ -486,27 +1319,40 @@ class DatumReader {
    * @param {Schema} writersSchema
    * @param {Schema} readersSchema
    * @param {Tap} tap
+   * @param {number} depth
    */
-  async readRecord (writersSchema, readersSchema, tap) {
+  async readRecord (writersSchema, readersSchema, tap, depth = 0) {
+    depth = this.enterContainer(tap, depth)
     // schema resolution
-    const readersFieldsDict = readersSchema.fieldsDict
+    const readersFields = DatumReader.resolveFields(writersSchema, readersSchema)
     const readRecord = {}
     for (const field of writersSchema.fields) {
-      const readersField = readersFieldsDict[field.name]
+      const readersField = readersFields[field.name]
       if (readersField !== undefined) {
-        const fieldVal = await this.readData(field.type, readersField.type, tap)
-        readRecord[field.name] = fieldVal
+        const fieldVal = await this.readData(field.type, readersField.type, tap, depth)
+        readRecord[readersField.name] = fieldVal
       } else {
-        this.skipData(field.type, tap)
+        this.skipData(field.type, tap, depth)
       }
     }
 
-    // fill in default values
-    const dictEntries = Object.entries(readersFieldsDict)
+    await this.readMissingFields(writersSchema, readersSchema, readRecord)
+    return readRecord
+  }
+
+  /**
+   * Fill in the default values of the reader's fields missing in the
+   * writer's schema.
+   *
+   * @param {Schema} writersSchema
+   * @param {Schema} readersSchema
+   * @param {Object} readRecord
+   */
+  async readMissingFields (writersSchema, readersSchema, readRecord) {
+    const dictEntries = Object.entries(readersSchema.fieldsDict)
     if (dictEntries.length > Object.keys(readRecord).length) {
-      const writersFieldsDict = writersSchema.fieldsDict
       for (const [fieldName, field] of dictEntries) {
-        if (!Object.prototype.hasOwnProperty.call(writersFieldsDict, fieldName)) {
+        if (!Object.prototype.hasOwnProperty.call(readRecord, fieldName)) {
           if (field.hasDefault) {
             const fieldVal = await this.readDefaultValue(field.type, field.default)
             readRecord[field.name] = fieldVal
@@ -516,70 +1362,79 @@ class DatumReader {
         }
       }
     }
-
-    return readRecord
   }
 
-  skipRecord (writersSchema, tap) {
+  skipRecord (writersSchema, tap, depth = 0) {
+    depth = this.enterContainer(tap, depth)
     for (const field of writersSchema.fields) {
-      this.skipData(field.type, tap)
+      this.skipData(field.type, tap, depth)
     }
   }
 
   /**
-   * Basically a JSON Decoder?
-   * @param {Schema} field_schema
+   * Decode the JSON default value of a field of the reader's schema, as the
+   * spec prescribes: bytes and fixed from the code points 0-255 of a string,
+   * unions with their first branch. Logical types are applied like for data
+   * read from the writer.
+   *
+   * @param {Schema} fieldSchema
    * @param {*} defaultValue
    */
   async readDefaultValue (fieldSchema, defaultValue) {
+    let datum
     switch (fieldSchema.type) {
       case 'null':
-        return null
+        datum = null
+        break
       case 'boolean':
       case 'int':
-      case 'long':
-      case 'float':
-      case 'double':
       case 'enum':
       case 'string':
-        return defaultValue
+        datum = defaultValue
+        break
+      case 'float':
+      case 'double':
+        // NaN and infinities are strings
+        datum = Number(defaultValue)
+        break
+      case 'long':
+        datum = fromLongNumber(this.longMode, defaultValue)
+        break
       case 'fixed':
       case 'bytes':
-        return Buffer.from(defaultValue)
-      case 'array': {
-        const readArray = []
+        datum = Buffer.from(defaultValue, 'latin1')
+        break
+      case 'array':
+        datum = []
         for (const jsonVal of defaultValue) {
-          const itemVal = await this.readDefaultValue(fieldSchema.items, jsonVal)
-          readArray.push(itemVal)
+          datum.push(await this.readDefaultValue(fieldSchema.items, jsonVal))
         }
-        return readArray
-      }
-      case 'map': {
-        const readMap = {}
+        break
+      case 'map':
+        datum = {}
         for (const [key, jsonVal] of Object.entries(defaultValue)) {
-          const mapVal = await this.readDefaultValue(fieldSchema.values, jsonVal)
-          readMap[key] = mapVal
+          datum[key] = await this.readDefaultValue(fieldSchema.values, jsonVal)
         }
-        return readMap
-      }
+        break
       case 'union':
       case 'error_union':
         return this.readDefaultValue(fieldSchema.schemas[0], defaultValue)
-      case 'record': {
-        const readRecord = {}
+      case 'record':
+      case 'error':
+        datum = {}
         for (const field of fieldSchema.fields) {
           let jsonVal = defaultValue[field.name]
           if (jsonVal === undefined) {
             jsonVal = field.default
           }
-          const fieldVal = await this.readDefaultValue(field.type, jsonVal)
-          readRecord[field.name] = fieldVal
+          datum[field.name] = await this.readDefaultValue(field.type, jsonVal)
         }
-        return readRecord
-      }
+        break
       default:
-        throw new Error(`Unknown type: ${fieldSchema.type}`)
+        throw new errors.SchemaParseError(`Unknown type: ${fieldSchema.type}`, { writersSchema: fieldSchema })
     }
+
+    return this.fromLogicalValue(fieldSchema, datum)
   }
 }
 
@@ -587,9 +1442,19 @@ class DatumReader {
  * DatumWriter for generic python objects.
  */
 class DatumWriter {
+  /**
+   * Options:
+   *  * logicalTypes: Implementations of logical types, by name.
+   *  * longMode: Representation of long values, see LONG_MODES. Writing
+   *    JSON fails for longs which numbers do not represent exactly.
+   *  * strict: Validate numbers strictly, see validate.
+   *  * errorHook: Function called with each validation failure of a datum
+   *    written, see findValidationErrors.
+   */
   constructor (writersSchema, options) {
     this.writersSchema = writersSchema
     this.options = options || {}
+    this.longMode = getLongMode(this.options)
   }
 
   /**
@@ -602,25 +1467,129 @@ class DatumWriter {
   async write (datum, tap) {
     // validate datum
     if (!validate(this.writersSchema, datum, this.options)) {
-      throw createAvroTypeError(this.writersSchema, datum)
+      throw this.createValidationError(datum)
     }
 
     await this.writeData(this.writersSchema, datum, tap)
   }
 
   /**
+   * Error for a datum failing validation, listing every failure in its
+   * `errors` property, see findValidationErrors.
+   *
+   * @param {*} datum
+   */
+  createValidationError (datum) {
+    const failures = findValidationErrors(this.writersSchema, datum, this.options)
+    return new errors.AvroTypeError(`The datum is not an example of the schema ${describeSchema(this.writersSchema)}:\n${failures.map(e => `  ${e.message}`).join('\n')}`, {
+      writersSchema: this.writersSchema,
+      value: datum,
+      path: failures[0].path,
+      errors: failures
+    })
+  }
+
+  /**
+   * Encode a datum with the Avro JSON encoding.
+   *
+   * @param {*} datum
+   *
+   * @returns {Promise<string>} Promise resolving with the JSON text.
+   */
+  async writeJson (datum) {
+    // validate datum
+    if (!validate(this.writersSchema, datum, this.options)) {
+      throw this.createValidationError(datum)
+    }
+
+    return JSON.stringify(await this.writeJsonData(this.writersSchema, datum))
+  }
+
+  /**
+   * JSON counterpart of writeData, returning a value which can be serialized
+   * with JSON.stringify.
    *
    * @param {Schema} writersSchema
    * @param {*} datum
-   * @param {Tap} tap
    */
-  async writeData (writersSchema, datum, tap) {
+  async writeJsonData (writersSchema, datum) {
+    const datumToWrite = await this.toLogicalValue(writersSchema, datum)
+
+    switch (writersSchema.type) {
+      case 'null':
+        return null
+      case 'boolean':
+      case 'string':
+      case 'int':
+      case 'enum':
+        return datumToWrite
+      case 'long':
+        return toJsonLong(this.longMode, datumToWrite, writersSchema)
+      case 'float':
+      case 'double':
+        return toJsonNumber(datumToWrite)
+      case 'bytes':
+      case 'fixed':
+        return datumToWrite.toString('latin1')
+      case 'array': {
+        const items = []
+        for (const item of datumToWrite) {
+          items.push(await this.writeJsonData(writersSchema.items, item))
+        }
+        return items
+      }
+      case 'map': {
+        const values = {}
+        for (const [key, val] of Object.entries(datumToWrite)) {
+          values[key] = await this.writeJsonData(writersSchema.values, val)
+        }
+        return values
+      }
+      case 'union':
+      case 'error_union': {
+        const selectedSchema = writersSchema.schemas[this.resolveUnion(writersSchema, datumToWrite)]
+        if (selectedSchema.type === 'null') {
+          return null
+        }
+        return { [branchName(selectedSchema)]: await this.writeJsonData(selectedSchema, datumToWrite) }
+      }
+      case 'record':
+      case 'error':
+      case 'request': {
+        const values = {}
+        for (const field of writersSchema.fields) {
+          values[field.name] = await this.writeJsonData(field.type, datumToWrite[field.name])
+        }
+        return values
+      }
+      default:
+        throw new errors.AvroTypeError(`Unknown type: ${writersSchema.type}`, { writersSchema })
+    }
+  }
+
+  /**
+   * Convert a datum with the logical type of the writer's schema, if any.
+   *
+   * @param {Schema} writersSchema
+   * @param {*} datum
+   */
+  async toLogicalValue (writersSchema, datum) {
     const logicalType = writersSchema.logicalType
-    let datumToWrite = datum
     if (logicalType !== undefined && this.options.logicalTypes !== undefined && utils.isObject(this.options.logicalTypes[logicalType])) {
       const logicalTypeObject = this.options.logicalTypes[logicalType]
-      datumToWrite = await logicalTypeObject.toValue(datum, writersSchema)
+      return callLogicalType(logicalType, 'toValue', () => logicalTypeObject.toValue(datum, writersSchema))
     }
+    return datum
+  }
+
+  /**
+   *
+   * @param {Schema} writersSchema
+   * @param {*} datum
+   * @param {Tap} tap
+   */
+  async writeData (writersSchema, datum, tap) {
+    const datumToWrite = await this.toLogicalValue(writersSchema, datum)
 
     // function dispatch to write datum
     switch (writersSchema.type) {
@@ -635,7 +1604,11 @@ class DatumWriter {
         await tap.writeInt(datumToWrite)
         break
       case 'long':
-        await tap.writeLong(datumToWrite)
+        if (this.longMode === LONG_MODES.number) {
+          tap.writeLong(datumToWrite)
+        } else {
+          tap.packLongBytes(this.longMode.toBuffer(datumToWrite))
+        }
         break
       case 'float':
         await tap.writeFloat(datumToWrite)
@@ -663,7 +1636,7 @@ class DatumWriter {
       case 'request':
         return this.writeRecord(writersSchema, datumToWrite, tap)
       default:
-        throw new Error(`Unknown type: ${writersSchema.type}`)
+        throw new errors.AvroTypeError(`Unknown type: ${writersSchema.type}`, { writersSchema })
     }
   }
 
@@ -748,7 +1721,20 @@ class DatumWriter {
    * @param {Tap} tap
    */
   async writeUnion (writersSchema, datum, tap) {
-    // resolve union
+    const indexOfSchema = this.resolveUnion(writersSchema, datum)
+
+    // write data
+    tap.writeLong(indexOfSchema)
+    await this.writeData(writersSchema.schemas[indexOfSchema], datum, tap)
+  }
+
+  /**
+   * Find the index of the union branch the datum is written with.
+   *
+   * @param {Schema} writersSchema
+   * @param {*} datum
+   */
+  resolveUnion (writersSchema, datum) {
     let indexOfSchema = -1
     for (let i = 0; i < writersSchema.schemas.length; i++) {
       const candidateSchema = writersSchema.schemas[i]
@@ -760,10 +1746,7 @@ class DatumWriter {
     if (indexOfSchema < 0) {
       throw createAvroTypeError(writersSchema, datum)
     }
-
-    // write data
-    tap.writeLong(indexOfSchema)
-    await this.writeData(writersSchema.schemas[indexOfSchema], datum, tap)
+    return indexOfSchema
   }
 
   /**
@@ -783,8 +1766,103 @@ class DatumWriter {
   }
 }
 
+/**
+ * Write a datum with the given DatumWriter, growing the buffer of the tap
+ * until the datum fits.
+ *
+ * Writes past the end of the buffer still move the tap, so the first write
+ * gives the size the datum needs. When the buffer is too small, the datum is
+ * written again to a larger one, replaying the results of the logical types
+ * and union resolutions of the first write instead of calling them again.
+ *
+ * @param {DatumWriter} datumWriter
+ * @param {*} datum
+ * @param {Tap} tap
+ */
+async function writeGrowing (datumWriter, datum, tap) {
+  const pos = tap.pos
+  const results = []
+  const recorder = Object.create(datumWriter)
+  recorder.toLogicalValue = async (writersSchema, value) => {
+    const result = await datumWriter.toLogicalValue(writersSchema, value)
+    results.push(result)
+    return result
+  }
+  recorder.resolveUnion = (writersSchema, value) => {
+    const result = datumWriter.resolveUnion(writersSchema, value)
+    results.push(result)
+    return result
+  }
+  await recorder.write(datum, tap)
+  if (tap.isValid()) {
+    return
+  }
+
+  const buf = Buffer.alloc(Math.max(2 * tap.buf.length, tap.pos))
+  tap.buf.copy(buf, 0, 0, pos)
+  tap.buf = buf
+  tap.pos = pos
+  let i = 0
+  const replayer = Object.create(datumWriter)
+  replayer.toLogicalValue = async () => results[i++]
+  replayer.resolveUnion = () => results[i++]
+  await replayer.writeData(datumWriter.writersSchema, datum, tap)
+}
+
+// Scratch buffers of encodeItems, reused across calls. There may be several
+// as concurrent calls each need one while their datums are written.
+const SCRATCH_BUFFER_SIZE = 1024
+// Buffers which grew larger are not kept, nor are buffers over this count
+const MAX_SCRATCH_BUFFER_SIZE = 1024 * 1024
+const MAX_SCRATCH_BUFFERS = 16
+const scratchBuffers = []
+
+/**
+ * Write datums one after the other, sizing the buffer to fit them.
+ *
+ * The datums are written to a pooled scratch buffer, which grows as needed,
+ * then copied to the returned buffer. Its first `headerSize` bytes are left
+ * for the caller to fill in, so framing a datum does not copy it again.
+ *
+ * @param {Array} items Pairs of DatumWriter and datum.
+ * @param {number} headerSize Bytes reserved at the start of the buffer.
+ * @returns {Promise<Buffer>} The encoded datums, in a buffer of their own.
+ */
+async function encodeItems (items, headerSize = 0) {
+  const tap = new Tap(scratchBuffers.pop() || Buffer.alloc(SCRATCH_BUFFER_SIZE), headerSize)
+  try {
+    for (const [datumWriter, datum] of items) {
+      await writeGrowing(datumWriter, datum, tap)
+    }
+    const buf = Buffer.alloc(tap.pos)
+    tap.buf.copy(buf, headerSize, headerSize, tap.pos)
+    return buf
+  } finally {
+    if (tap.buf.length <= MAX_SCRATCH_BUFFER_SIZE && scratchBuffers.length < MAX_SCRATCH_BUFFERS) {
+      scratchBuffers.push(tap.buf)
+    }
+  }
+}
+
+/**
+ * Encode a datum, sizing the buffer to fit it.
+ *
+ * @param {Schema} writersSchema
+ * @param {*} datum
+ * @param {Object} options Options of the DatumWriter.
+ * @returns {Promise<Buffer>} The encoded datum, in a buffer of its own.
+ */
+function encode (writersSchema, datum, options) {
+  return encodeItems([[new DatumWriter(writersSchema, options), datum]])
+}
+
 module.exports = {
+  LONG_MODES,
   validate,
+  findValidationErrors,
+  writeGrowing,
+  encodeItems,
+  encode,
   DatumWriter,
   DatumReader
 }
@@ -0,0 +1,460 @@
+/**
+ * Avro RPC over stateful connections, such as sockets or in-process streams.
+ *
+ * Each call request and response is sent as a list of frames: 4-byte
+ * big-endian lengths followed by as many bytes, the list ends with an empty
+ * frame. The first request on a connection starts with a handshake
+ * exchanging the MD5 hashes, and if needed the text, of the client and server
+ * protocols. Once the handshake succeeds later calls are sent without it and
+ * one-way messages get no response.
+ */
+
+const schema = require('./schema')
+const errors = require('./errors')
+const protocol = require('./protocol')
+const io = require('./io')
+const Tap = require('./tap')
+
+const BUFFER_SIZE = 8192
+const FRAME_HEADER_SIZE = 4
+
+const HANDSHAKE_REQUEST_SCHEMA = schema.parse({
+  type: 'record',
+  name: 'HandshakeRequest',
+  namespace: 'org.apache.avro.ipc',
+  fields: [
+    { name: 'clientHash', type: { type: 'fixed', name: 'MD5', size: 16 } },
+    { name: 'clientProtocol', type: ['null', 'string'] },
+    { name: 'serverHash', type: 'MD5' },
+    { name: 'meta', type: ['null', { type: 'map', values: 'bytes' }] }
+  ]
+})
+
+const HANDSHAKE_RESPONSE_SCHEMA = schema.parse({
+  type: 'record',
+  name: 'HandshakeResponse',
+  namespace: 'org.apache.avro.ipc',
+  fields: [
+    { name: 'match', type: { type: 'enum', name: 'HandshakeMatch', symbols: ['BOTH', 'CLIENT', 'NONE'] } },
+    { name: 'serverProtocol', type: ['null', 'string'] },
+    { name: 'serverHash', type: ['null', { type: 'fixed', name: 'MD5', size: 16 }] },
+    { name: 'meta', type: ['null', { type: 'map', values: 'bytes' }] }
+  ]
+})
+
+const META_SCHEMA = schema.parse({ type: 'map', values: 'bytes' })
+const MESSAGE_NAME_SCHEMA = schema.parse('"string"')
+const ERROR_FLAG_SCHEMA = schema.parse('"boolean"')
+// Union written for errors which are not declared by the message
+const SYSTEM_ERROR_SCHEMA = schema.parse(['string'])
+
+/**
+ * Error raised by a remote call. Handlers throw it to send one of the
+ * declared errors of their message, requestors reject with it when the call
+ * fails on the server.
+ */
+class AvroRemoteError extends Error {
+  /**
+   * @param {*} datum A datum of one of the declared errors, or a string for system errors.
+   */
+  constructor (datum) {
+    super(typeof datum === 'string' ? datum : `Remote error: ${JSON.stringify(datum)}`)
+    this.name = 'AvroRemoteError'
+    this.datum = datum
+  }
+}
+
+/**
+ * Split a message in frames, terminated by an empty frame.
+ *
+ * @param {Buffer} buf
+ * @param {number} frameSize Maximum size of each frame.
+ * @returns {Buffer}
+ */
+function encodeFrames (buf, frameSize = BUFFER_SIZE) {
+  const frames = []
+  for (let pos = 0; pos < buf.length; pos += frameSize) {
+    const frame = buf.subarray(pos, pos + frameSize)
+    const header = Buffer.alloc(FRAME_HEADER_SIZE)
+    header.writeUInt32BE(frame.length, 0)
+    frames.push(header, frame)
+  }
+  frames.push(Buffer.alloc(FRAME_HEADER_SIZE))
+  return Buffer.concat(frames)
+}
+
+/**
+ * Reassemble the messages of a stream of frames, whatever the chunks they
+ * were received in.
+ */
+class FrameDecoder {
+  constructor () {
+    this._buf = Buffer.alloc(0)
+    this._frames = []
+  }
+
+  /**
+   * @param {Buffer} chunk
+   * @returns {Array<Buffer>} The messages completed by the chunk.
+   */
+  push (chunk) {
+    this._buf = Buffer.concat([this._buf, chunk])
+    const messages = []
+    while (this._buf.length >= FRAME_HEADER_SIZE) {
+      const length = this._buf.readUInt32BE(0)
+      if (this._buf.length < FRAME_HEADER_SIZE + length) {
+        break
+      }
+
+      if (length === 0) {
+        messages.push(Buffer.concat(this._frames))
+        this._frames = []
+      } else {
+        this._frames.push(this._buf.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length))
+      }
+      this._buf = this._buf.subarray(FRAME_HEADER_SIZE + length)
+    }
+    return messages
+  }
+}
+
+/**
+ * Read a datum from a tap, failing when the tap runs past the message.
+ */
+async function decode (datumReader, tap) {
+  const datum = await datumReader.read(tap)
+  if (!tap.isValid()) {
+    throw new errors.TruncatedDataError('Truncated RPC message.', { offset: tap.buf.length })
+  }
+  return datum
+}
+
+/**
+ * Client side of a connection, sending call requests for the messages of the
+ * local protocol.
+ */
+class Requestor {
+  /**
+   * @param {Protocol} localProtocol
+   * @param {Duplex} transport Stream connected to a Responder.
+   * @param {Object} options Options passed to the DatumReaders and DatumWriters.
+   */
+  constructor (localProtocol, transport, options) {
+    if (!(localProtocol instanceof protocol.Protocol)) {
+      throw new Error('Requestor requires a Protocol.')
+    } else if (transport === undefined || typeof transport.write !== 'function' || typeof transport.on !== 'function') {
+      throw new Error('Requestor requires a duplex stream transport.')
+    }
+
+    this.localProtocol = localProtocol
+    this.transport = transport
+    this.options = options
+    this._localHash = localProtocol.md5
+    this._remoteProtocol = localProtocol
+    this._remoteHash = this._localHash
+    this._handshake = undefined
+    this._pending = []
+    this._closed = undefined
+
+    const decoder = new FrameDecoder()
+    transport.on('data', chunk => {
+      for (const callResponse of decoder.push(chunk)) {
+        const pending = this._pending.shift()
+        if (pending !== undefined) {
+          pending.resolve(callResponse)
+        }
+      }
+    })
+    transport.on('error', err => this._close(err))
+    transport.on('close', () => this._close(new Error('The RPC transport was closed.')))
+  }
+
+  get remoteProtocol () {
+    return this._remoteProtocol
+  }
+
+  _close (err) {
+    if (this._closed === undefined) {
+      this._closed = err
+    }
+    for (const pending of this._pending.splice(0)) {
+      pending.reject(this._closed)
+    }
+  }
+
+  /**
+   * Write a call request, resolving with the call response when one is expected.
+   */
+  _send (callRequest, expectResponse) {
+    if (this._closed !== undefined) {
+      return Promise.reject(this._closed)
+    }
+
+    const response = expectResponse
+      ? new Promise((resolve, reject) => this._pending.push({ resolve, reject }))
+      : Promise.resolve()
+    this.transport.write(encodeFrames(callRequest))
+    return response
+  }
+
+  /**
+   * Call a message of the remote server.
+   *
+   * @param {string} messageName
+   * @param {Object} requestDatum The message parameters, by name.
+   * @returns {Promise} Promise resolving with the response, or rejecting with
+   *   an AvroRemoteError when the server returned an error.
+   */
+  async request (messageName, requestDatum) {
+    const message = this.localProtocol.messages[messageName]
+    if (message === undefined) {
+      throw new Error(`Unknown message: ${messageName}`)
+    }
+
+    const callRequest = await io.encodeItems([
+      [new io.DatumWriter(META_SCHEMA), {}],
+      [new io.DatumWriter(MESSAGE_NAME_SCHEMA), messageName],
+      [new io.DatumWriter(message.request, this.options), requestDatum]
+    ])
+
+    // The first call carries the handshake, others wait for it to complete
+    if (this._handshake === undefined) {
+      const call = this.handshake(callRequest)
+      this._handshake = call.then(() => undefined)
+      this._handshake.catch(() => { this._handshake = undefined })
+      return this.readCallResponse(message, await call)
+    }
+
+    await this._handshake
+    if (message.oneWay) {
+      return this._send(callRequest, false)
+    }
+    return this.readCallResponse(message, new Tap(await this._send(callRequest, true)))
+  }
+
+  /**
+   * Send a call request preceded by a handshake, sending it again with the
+   * client protocol if the server does not know it.
+   *
+   * @returns {Promise<Tap>} The call response, positioned after the handshake response.
+   */
+  async handshake (callRequest) {
+    let clientProtocol = null
+    for (;;) {
+      const handshakeRequest = await io.encodeItems([[new io.DatumWriter(HANDSHAKE_REQUEST_SCHEMA), {
+        clientHash: this._localHash,
+        clientProtocol,
+        serverHash: this._remoteHash,
+        meta: null
+      }]])
+      const tap = new Tap(await this._send(Buffer.concat([handshakeRequest, callRequest]), true))
+      const handshakeResponse = await decode(new io.DatumReader(HANDSHAKE_RESPONSE_SCHEMA), tap)
+
+      if (handshakeResponse.serverProtocol !== null) {
+        this._remoteProtocol = protocol.parseProtocol(handshakeResponse.serverProtocol)
+        this._remoteHash = handshakeResponse.serverHash
+      }
+
+      if (handshakeResponse.match !== 'NONE') {
+        return tap
+      } else if (clientProtocol !== null) {
+        throw new Error(`Handshake failed: the server did not accept the protocol ${this.localProtocol.fullname}.`)
+      }
+      clientProtocol = this.localProtocol.toString()
+    }
+  }
+
+  /**
+   * @param {Message} message
+   * @param {Tap} tap Call response positioned after the handshake, if any.
+   */
+  async readCallResponse (message, tap) {
+    if (message.oneWay) {
+      return undefined
+    }
+
+    const remoteMessage = this._remoteProtocol.messages[message.name]
+    if (remoteMessage === undefined) {
+      throw new Error(`Unknown message on the server: ${message.name}`)
+    }
+
+    await decode(new io.DatumReader(META_SCHEMA), tap)
+    if (await decode(new io.DatumReader(ERROR_FLAG_SCHEMA), tap)) {
+      throw new AvroRemoteError(await decode(new io.DatumReader(remoteMessage.errors, message.errors, this.options), tap))
+    }
+    return decode(new io.DatumReader(remoteMessage.response, message.response, this.options), tap)
+  }
+}
+
+/**
+ * Server side of connections, dispatching call requests to async handlers.
+ *
+ * Handlers are called with the request datum and the message, they resolve
+ * with the response or reject with an AvroRemoteError holding one of the
+ * declared errors. Any other error is sent to the client as a system error.
+ */
+class Responder {
+  /**
+   * @param {Protocol} localProtocol
+   * @param {Object} handlers Async functions, by message name.
+   * @param {Object} options Options passed to the DatumReaders and DatumWriters.
+   */
+  constructor (localProtocol, handlers, options) {
+    if (!(localProtocol instanceof protocol.Protocol)) {
+      throw new Error('Responder requires a Protocol.')
+    }
+
+    this.localProtocol = localProtocol
+    this.handlers = handlers || {}
+    this.options = options
+    this._localHash = localProtocol.md5
+    // Client protocols, by hash
+    this._protocols = { [this._localHash.toString('hex')]: localProtocol }
+  }
+
+  /**
+   * Serve the calls received on a stream. Calls are processed one at a time
+   * and their responses written in order.
+   *
+   * @param {Duplex} transport
+   */
+  listen (transport) {
+    const decoder = new FrameDecoder()
+    const connection = {}
+    let processing = Promise.resolve()
+    transport.on('data', chunk => {
+      for (const callRequest of decoder.push(chunk)) {
+        processing = processing
+          .then(() => this.respond(callRequest, connection))
+          .then(callResponse => {
+            if (callResponse !== undefined) {
+              transport.write(encodeFrames(callResponse))
+            }
+          })
+          .catch(err => transport.destroy(err))
+      }
+    })
+  }
+
+  /**
+   * Call the handler of a message.
+   *
+   * @param {Message} message
+   * @param {Object} request
+   */
+  async invoke (message, request) {
+    const handler = this.handlers[message.name]
+    if (typeof handler !== 'function') {
+      throw new Error(`No handler for message ${message.name}.`)
+    }
+    return handler(request, message)
+  }
+
+  /**
+   * Process a call request.
+   *
+   * @param {Buffer} callRequest
+   * @param {Object} connection State of the connection the request was received on.
+   * @returns {Promise<Buffer>} The call response, undefined when none must be sent.
+   */
+  async respond (callRequest, connection) {
+    const tap = new Tap(callRequest)
+    let handshakeResponse = Buffer.alloc(0)
+    if (connection.remoteProtocol === undefined) {
+      const [response, remoteProtocol] = await this.processHandshake(tap)
+      handshakeResponse = response
+      if (remoteProtocol === undefined) {
+        return handshakeResponse
+      }
+      connection.remoteProtocol = remoteProtocol
+    }
+
+    await decode(new io.DatumReader(META_SCHEMA), tap)
+    const messageName = await decode(new io.DatumReader(MESSAGE_NAME_SCHEMA), tap)
+    const remoteMessage = connection.remoteProtocol.messages[messageName]
+    const localMessage = this.localProtocol.messages[messageName]
+    if (remoteMessage === undefined || localMessage === undefined) {
+      return Buffer.concat([handshakeResponse, await this.writeError(new Error(`Unknown message: ${messageName}`))])
+    }
+
+    const request = await decode(new io.DatumReader(remoteMessage.request, localMessage.request, this.options), tap)
+    let callResponse
+    try {
+      const response = await this.invoke(localMessage, request)
+      callResponse = await io.encodeItems([
+        [new io.DatumWriter(META_SCHEMA), {}],
+        [new io.DatumWriter(ERROR_FLAG_SCHEMA), false],
+        [new io.DatumWriter(localMessage.response, this.options), localMessage.oneWay ? null : response]
+      ])
+    } catch (err) {
+      callResponse = await this.writeError(err, localMessage)
+    }
+
+    if (localMessage.oneWay) {
+      return handshakeResponse.length > 0 ? handshakeResponse : undefined
+    }
+    return Buffer.concat([handshakeResponse, callResponse])
+  }
+
+  /**
+   * Read a handshake request, finding the client protocol.
+   *
+   * @param {Tap} tap
+   * @returns {Promise<Array>} The handshake response and the client
+   *   protocol, undefined when unknown to the server.
+   */
+  async processHandshake (tap) {
+    const handshakeRequest = await decode(new io.DatumReader(HANDSHAKE_REQUEST_SCHEMA), tap)
+    const clientHash = handshakeRequest.clientHash.toString('hex')
+    let remoteProtocol = this._protocols[clientHash]
+    if (remoteProtocol === undefined && handshakeRequest.clientProtocol !== null) {
+      remoteProtocol = protocol.parseProtocol(handshakeRequest.clientProtocol)
+      this._protocols[clientHash] = remoteProtocol
+    }
+
+    const handshakeResponse = { match: 'BOTH', serverProtocol: null, serverHash: null, meta: null }
+    if (remoteProtocol === undefined) {
+      handshakeResponse.match = 'NONE'
+    } else if (!handshakeRequest.serverHash.equals(this._localHash)) {
+      handshakeResponse.match = 'CLIENT'
+    }
+    if (handshakeResponse.match !== 'BOTH') {
+      handshakeResponse.serverProtocol = this.localProtocol.toString()
+      handshakeResponse.serverHash = this._localHash
+    }
+
+    return [await io.encodeItems([[new io.DatumWriter(HANDSHAKE_RESPONSE_SCHEMA), handshakeResponse]]), remoteProtocol]
+  }
+
+  /**
+   * Write the error response of a call: declared errors of the message as
+   * themselves, anything else as a system error.
+   *
+   * @param {Error} err
+   * @param {Message} message
+   */
+  async writeError (err, message) {
+    const header = [
+      [new io.DatumWriter(META_SCHEMA), {}],
+      [new io.DatumWriter(ERROR_FLAG_SCHEMA), true]
+    ]
+    if (err instanceof AvroRemoteError && message !== undefined) {
+      try {
+        return await io.encodeItems(header.concat([[new io.DatumWriter(message.errors, this.options), err.datum]]))
+      } catch (e) {
+        err = new Error(`Invalid error for message ${message.name}: ${e.message}`)
+      }
+    }
+    return io.encodeItems(header.concat([[new io.DatumWriter(SYSTEM_ERROR_SCHEMA), err instanceof Error ? err.message : String(err)]]))
+  }
+}
+
+module.exports = {
+  HANDSHAKE_REQUEST_SCHEMA,
+  HANDSHAKE_RESPONSE_SCHEMA,
+  AvroRemoteError,
+  encodeFrames,
+  FrameDecoder,
+  Requestor,
+  Responder
+}
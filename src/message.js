@@ -0,0 +1,126 @@
+/**
+ * Avro single-object encoding.
+ *
+ * A single-object encoded datum is the two byte marker `C3 01`, followed by
+ * the 8-byte little-endian CRC-64-AVRO fingerprint of the writer's schema
+ * and the binary encoding of the datum.
+ */
+
+const io = require('./io')
+const fingerprint = require('./fingerprint')
+const Tap = require('./tap')
+
+const MARKER = Buffer.from([0xc3, 0x01])
+const FINGERPRINT_SIZE = 8
+const HEADER_SIZE = MARKER.length + FINGERPRINT_SIZE
+
+/**
+ * In-memory schema store, looking up schemas by their CRC-64-AVRO fingerprint.
+ *
+ * Any object with a `findByFingerprint(fingerprint)` method returning a
+ * Schema, or a Promise resolving with one, can be used instead.
+ */
+class SchemaStore {
+  constructor (schemas) {
+    this._schemas = {}
+    for (const schema of schemas || []) {
+      this.addSchema(schema)
+    }
+  }
+
+  /**
+   * @param {Schema} schema
+   * @returns {Buffer} The fingerprint of the added schema.
+   */
+  addSchema (schema) {
+    const fp = fingerprint.fingerprint64(schema)
+    this._schemas[fp.toString('hex')] = schema
+    return fp
+  }
+
+  /**
+   * @param {Buffer} fp 8-byte little-endian fingerprint.
+   * @returns {Schema} The schema or undefined when unknown.
+   */
+  findByFingerprint (fp) {
+    return this._schemas[fp.toString('hex')]
+  }
+}
+
+/**
+ * Encode datums with the single-object encoding.
+ */
+class BinaryMessageEncoder {
+  /**
+   * @param {Schema} writersSchema
+   * @param {object} options Options passed to the DatumWriter.
+   */
+  constructor (writersSchema, options) {
+    this.datumWriter = new io.DatumWriter(writersSchema, options)
+    this.fingerprint = fingerprint.fingerprint64(writersSchema)
+  }
+
+  get writersSchema () {
+    return this.datumWriter.writersSchema
+  }
+
+  /**
+   * @param {*} datum
+   * @returns {Promise<Buffer>} The encoded datum.
+   */
+  async encode (datum) {
+    const buf = await io.encodeItems([[this.datumWriter, datum]], HEADER_SIZE)
+    MARKER.copy(buf, 0)
+    this.fingerprint.copy(buf, MARKER.length)
+    return buf
+  }
+}
+
+/**
+ * Decode single-object encoded datums, looking up the writer's schema in a
+ * schema store.
+ */
+class BinaryMessageDecoder {
+  /**
+   * @param {Schema} readersSchema Reader's schema, the writer's schema is used when undefined.
+   * @param {SchemaStore} schemaStore
+   * @param {object} options Options passed to the DatumReader.
+   */
+  constructor (readersSchema, schemaStore, options) {
+    if (schemaStore === undefined || typeof schemaStore.findByFingerprint !== 'function') {
+      throw new Error('BinaryMessageDecoder requires a schema store with a findByFingerprint method.')
+    }
+
+    this.readersSchema = readersSchema
+    this.schemaStore = schemaStore
+    this.options = options
+  }
+
+  /**
+   * @param {Buffer} buf
+   * @returns {Promise} Promise resolving with the decoded datum.
+   */
+  async decode (buf) {
+    if (!Buffer.isBuffer(buf) || buf.length < HEADER_SIZE || !MARKER.equals(buf.subarray(0, MARKER.length))) {
+      throw new Error('Not a single-object encoded datum: missing or invalid marker.')
+    }
+
+    const fp = buf.subarray(MARKER.length, HEADER_SIZE)
+    const writersSchema = await this.schemaStore.findByFingerprint(fp)
+    if (writersSchema === undefined || writersSchema === null) {
+      throw new Error(`Cannot resolve schema for fingerprint: ${fp.toString('hex')}`)
+    }
+
+    const tap = new Tap(buf, HEADER_SIZE)
+    const readersSchema = this.readersSchema === undefined ? writersSchema : this.readersSchema
+    const datumReader = new io.DatumReader(writersSchema, readersSchema, this.options)
+    return datumReader.read(tap)
+  }
+}
+
+module.exports = {
+  MARKER,
+  SchemaStore,
+  BinaryMessageEncoder,
+  BinaryMessageDecoder
+}
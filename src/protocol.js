@@ -0,0 +1,282 @@
+/**
+ * Avro protocols, as read from `.avpr` files.
+ */
+
+const crypto = require('crypto')
+const constants = require('./constants')
+const errors = require('./errors')
+const utils = require('./utils')
+const schema = require('./schema')
+
+/**
+ * Constructs the Protocol from the JSON text.
+ */
+function parseProtocol (jsonString) {
+  let jsonData
+  if (jsonString instanceof Object) {
+    jsonData = jsonString
+  } else {
+    try {
+      jsonData = JSON.parse(jsonString)
+    } catch (e) {
+      throw new errors.SchemaParseError(`Error parsing JSON: ${jsonString}, error = ${e}`, { cause: e })
+    }
+  }
+
+  return makeAvprObject(jsonData)
+}
+
+/**
+ * Build an Avro Protocol from data parsed out of JSON string.
+ */
+function makeAvprObject (jsonData) {
+  if (!utils.isObject(jsonData)) {
+    throw new errors.SchemaParseError(`Not a JSON object: ${jsonData}`)
+  }
+
+  const otherProps = {}
+  for (const [k, v] of Object.entries(jsonData)) {
+    if (!constants.PROTOCOL_RESERVED_PROPS.includes(k)) {
+      otherProps[k] = v
+    }
+  }
+  return new Protocol(jsonData.protocol, jsonData.namespace, jsonData.types, jsonData.messages, jsonData.doc, otherProps)
+}
+
+/**
+ * Look up a named type or build the schema of a message response.
+ */
+function makeSchema (type, names) {
+  if (utils.isString(type) && names.hasName(type, undefined)) {
+    return names.getName(type, undefined)
+  }
+  return schema.makeAvscObject(type, names)
+}
+
+class Message {
+  /**
+   * @param {string} name
+   * @param {Array} request JSON of the request parameters, as record fields.
+   * @param {*} response JSON of the response schema.
+   * @param {Array} errorNames Names of the declared errors.
+   * @param {Names} names Types of the protocol.
+   * @param {boolean} oneWay
+   * @param {string} doc
+   * @param {Object} otherProps
+   */
+  constructor (name, request, response, errorNames, names, oneWay = false, doc, otherProps) {
+    // Ensure valid ctor args
+    if (!utils.isString(name) || name === '') {
+      throw new errors.SchemaParseError('Messages must have a non-empty name.')
+    } else if (!Array.isArray(request)) {
+      throw new errors.SchemaParseError(`Request property of message ${name} must be a list of parameters.`)
+    } else if (response === undefined) {
+      throw new errors.SchemaParseError(`Message ${name} requires a response property.`)
+    } else if (errorNames !== undefined && !Array.isArray(errorNames)) {
+      throw new errors.SchemaParseError(`Errors property of message ${name} must be a list of error names.`)
+    } else if (typeof oneWay !== 'boolean') {
+      throw new errors.SchemaParseError(`One-way property of message ${name} must be a boolean.`)
+    }
+
+    this._name = name
+    this._props = { ...(otherProps || {}) }
+    this._request = schema.makeAvscObject({ type: 'request', fields: request }, names)
+    try {
+      this._response = makeSchema(response, names)
+    } catch (e) {
+      throw new errors.SchemaParseError(`Response of message ${name} not a valid Avro schema: ${e.message}`, { cause: e })
+    }
+    this._errors = schema.makeAvscObject({ type: 'error_union', declared_errors: errorNames || [] }, names)
+    for (const error of this._errors.schemas.slice(1)) {
+      if (error.type !== 'error') {
+        throw new errors.SchemaParseError(`Declared error ${JSON.stringify(error.toJson())} of message ${name} is not an error type.`)
+      }
+    }
+    this._oneWay = oneWay
+    if (doc !== undefined) {
+      this._props.doc = doc
+    }
+
+    if (oneWay && (this.response.type !== 'null' || this.errors.schemas.length > 1)) {
+      throw new errors.SchemaParseError(`One-way message ${name} must have a null response and no errors.`)
+    }
+  }
+
+  // read-only properties
+  get name () {
+    return this._name
+  }
+
+  /**
+   * Record schema of type `request` holding the message parameters.
+   */
+  get request () {
+    return this._request
+  }
+
+  get response () {
+    return this._response
+  }
+
+  /**
+   * Union of `string`, used for system errors, and the declared errors.
+   */
+  get errors () {
+    return this._errors
+  }
+
+  get oneWay () {
+    return this._oneWay
+  }
+
+  get doc () {
+    return this._props.doc
+  }
+
+  get props () {
+    return this._props
+  }
+
+  toString () {
+    return JSON.stringify(this.toJson())
+  }
+
+  toJson (names) {
+    if (names === undefined) {
+      names = new schema.Names()
+    }
+
+    const toDump = Object.assign({}, this.props)
+    toDump.request = this.request.toJson(names)
+    toDump.response = this.response.toJson(names)
+    if (this.errors.schemas.length > 1) {
+      toDump.errors = this.errors.toJson(names)
+    }
+    if (this.oneWay) {
+      toDump['one-way'] = true
+    }
+    return toDump
+  }
+}
+
+class Protocol {
+  /**
+   * @param {string} name
+   * @param {string} namespace
+   * @param {Array} types JSON of the named types.
+   * @param {Object} messages JSON of the messages, by name.
+   * @param {string} doc
+   * @param {Object} otherProps
+   */
+  constructor (name, namespace, types, messages, doc, otherProps) {
+    // Ensure valid ctor args
+    if (!utils.isString(name) || name === '') {
+      throw new errors.SchemaParseError('Protocols must have a non-empty name.')
+    } else if (namespace !== undefined && !utils.isString(namespace)) {
+      throw new errors.SchemaParseError('The namespace property must be a string.')
+    } else if (types !== undefined && !Array.isArray(types)) {
+      throw new errors.SchemaParseError('The types property must be a list.')
+    } else if (messages !== undefined && !utils.isObject(messages)) {
+      throw new errors.SchemaParseError('The messages property must be a JSON object.')
+    }
+
+    this._props = { ...(otherProps || {}) }
+    this._props.protocol = name
+    if (namespace !== undefined) {
+      this._props.namespace = namespace
+    }
+    if (doc !== undefined) {
+      this._props.doc = doc
+    }
+    this._fullname = new schema.Name(name, namespace, undefined).fullname
+
+    const names = new schema.Names(namespace)
+    this._types = (types || []).map(type => {
+      const typeSchema = schema.makeAvscObject(type, names)
+      if (!constants.NAMED_TYPES.includes(typeSchema.type)) {
+        throw new errors.SchemaParseError(`Type ${JSON.stringify(type)} not a named type (${constants.NAMED_TYPES.join(', ')}).`)
+      }
+      return typeSchema
+    })
+
+    this._messages = {}
+    for (const [messageName, body] of Object.entries(messages || {})) {
+      if (!utils.isObject(body)) {
+        throw new errors.SchemaParseError(`Message ${messageName} must be a JSON object.`)
+      }
+      const otherProps = {}
+      for (const [k, v] of Object.entries(body)) {
+        if (!constants.MESSAGE_RESERVED_PROPS.includes(k)) {
+          otherProps[k] = v
+        }
+      }
+      this._messages[messageName] = new Message(messageName, body.request, body.response, body.errors, names, body['one-way'], body.doc, otherProps)
+    }
+  }
+
+  // read-only properties
+  get name () {
+    return this._props.protocol
+  }
+
+  get namespace () {
+    return this._props.namespace
+  }
+
+  get fullname () {
+    return this._fullname
+  }
+
+  get doc () {
+    return this._props.doc
+  }
+
+  get props () {
+    return this._props
+  }
+
+  get types () {
+    return this._types
+  }
+
+  get typesDict () {
+    const typesDict = {}
+    for (const type of this.types) {
+      typesDict[type.fullname] = type
+    }
+    return typesDict
+  }
+
+  get messages () {
+    return this._messages
+  }
+
+  /**
+   * MD5 hash of the JSON text of the protocol, as sent in IPC handshakes.
+   */
+  get md5 () {
+    return crypto.createHash('md5').update(this.toString()).digest()
+  }
+
+  toString () {
+    return JSON.stringify(this.toJson())
+  }
+
+  toJson () {
+    const names = new schema.Names(this.namespace)
+    const toDump = Object.assign({}, this.props)
+    toDump.types = this.types.map(t => t.toJson(names))
+    toDump.messages = {}
+    for (const [name, message] of Object.entries(this.messages)) {
+      toDump.messages[name] = message.toJson(names)
+    }
+    return toDump
+  }
+}
+
+module.exports = {
+  parseProtocol,
+  makeAvprObject,
+  Protocol,
+  Message
+}
@@ -1,5 +1,7 @@
 const constants = require('./constants')
 const utils = require('./utils')
+const errors = require('./errors')
+const fingerprints = require('./fingerprint')
 
 /**
  * Constructs the Schema from the JSON text.
@@ -13,7 +15,7 @@ function parse (jsonString) {
     try {
       jsonData = JSON.parse(jsonString)
     } catch (e) {
-      throw new Error(`Error parsing JSON: ${jsonString}, error = ${e}`)
+      throw new errors.SchemaParseError(`Error parsing JSON: ${jsonString}, error = ${e}`, { cause: e })
     }
   }
 
@@ -44,7 +46,7 @@ function makeAvscObject (jsonData, names, options) {
       return new PrimitiveSchema(type, otherProps, logicalType)
     } else if (constants.NAMED_TYPES.includes(type)) {
       const name = jsonData.name
-      const namespace = jsonData.namespace === undefined ? jsonData.namespace : names.defaultNamespace
+      const namespace = jsonData.namespace === undefined ? names.defaultNamespace : jsonData.namespace
       if (type === 'fixed') {
         const size = jsonData.size
         return new FixedSchema(name, namespace, size, names, otherProps, logicalType)
@@ -57,7 +59,7 @@ function makeAvscObject (jsonData, names, options) {
         const doc = jsonData.doc
         return new RecordSchema(name, namespace, fields, names, type, doc, otherProps, logicalType)
       } else {
-        throw new Error(`Unknown Named Type: ${type}`)
+        throw new errors.SchemaParseError(`Unknown Named Type: ${type}`)
       }
     } else if (constants.VALID_TYPES.includes(type)) {
       if (type === 'array') {
@@ -66,23 +68,26 @@ function makeAvscObject (jsonData, names, options) {
       } else if (type === 'map') {
         const values = jsonData.values
         return new MapSchema(values, names, otherProps, logicalType)
+      } else if (type === 'request') {
+        const fields = jsonData.fields
+        return new RecordSchema(undefined, undefined, fields, names, type, undefined, otherProps, logicalType)
       } else if (type === 'error_union') {
         const declaredErrors = jsonData.declared_errors
         return new ErrorUnionSchema(declaredErrors, names, logicalType)
       } else {
-        throw new Error(`Unknown Valid Type: ${type}`)
+        throw new errors.SchemaParseError(`Unknown Valid Type: ${type}`)
       }
     } else if (type === undefined) {
-      throw new Error(`No "type" property: ${jsonData}`)
+      throw new errors.SchemaParseError(`No "type" property: ${jsonData}`)
     } else {
-      throw new Error(`Undefined type: ${type}`)
+      throw new errors.SchemaParseError(`Undefined type: ${type}`)
     }
   } else if (constants.PRIMITIVE_TYPES.includes(jsonData)) {
     // JSON string (primitive)
     return new PrimitiveSchema(jsonData)
   } else {
     // Not for us!
-    throw new Error(`Could not make an Avro Schema object from ${jsonData}.`)
+    throw new errors.SchemaParseError(`Could not make an Avro Schema object from ${jsonData}.`)
   }
 }
 
@@ -103,6 +108,97 @@ function getOtherProps (allProps, reservedProps) {
   return props
 }
 
+const INT_MIN_VALUE = -0x80000000
+const INT_MAX_VALUE = 0x7fffffff
+// Default values of floats and doubles which JSON numbers cannot represent
+const FLOAT_DEFAULT_STRINGS = ['NaN', 'Infinity', '-Infinity']
+
+/**
+ * Find the part of a default value which is invalid for a schema, following
+ * the JSON encoding of defaults: bytes and fixed as strings of code points
+ * 0-255, unions with the value of their first branch.
+ *
+ * @param {Schema} typeSchema
+ * @param {*} value The JSON default value.
+ * @param {string} path Path of the value, from the record and field names.
+ * @returns {string|undefined} The path of the invalid value, undefined if
+ *   the default is valid.
+ */
+function findInvalidDefault (typeSchema, value, path) {
+  const isValid = (() => {
+    switch (typeSchema.type) {
+      case 'null':
+        return value === null
+      case 'boolean':
+        return typeof value === 'boolean'
+      case 'int':
+        return Number.isInteger(value) && value >= INT_MIN_VALUE && value <= INT_MAX_VALUE
+      case 'long':
+        return Number.isInteger(value)
+      case 'float':
+      case 'double':
+        return typeof value === 'number' || FLOAT_DEFAULT_STRINGS.includes(value)
+      case 'string':
+        return typeof value === 'string'
+      case 'bytes':
+        return typeof value === 'string' && /^[^\u0100-\uffff]*$/.test(value)
+      case 'fixed':
+        return typeof value === 'string' && /^[^\u0100-\uffff]*$/.test(value) && value.length === typeSchema.size
+      case 'enum':
+        return typeSchema.symbols.includes(value)
+      case 'array':
+        return Array.isArray(value)
+      case 'map':
+      case 'record':
+      case 'error':
+        return utils.isObject(value) && !Array.isArray(value)
+      default:
+        return true
+    }
+  })()
+  if (!isValid) {
+    return path
+  }
+
+  switch (typeSchema.type) {
+    case 'array':
+      for (let i = 0; i < value.length; i++) {
+        const invalidPath = findInvalidDefault(typeSchema.items, value[i], `${path}[${i}]`)
+        if (invalidPath !== undefined) {
+          return invalidPath
+        }
+      }
+      break
+    case 'map':
+      for (const [key, item] of Object.entries(value)) {
+        const invalidPath = findInvalidDefault(typeSchema.values, item, `${path}[${JSON.stringify(key)}]`)
+        if (invalidPath !== undefined) {
+          return invalidPath
+        }
+      }
+      break
+    case 'union':
+    case 'error_union':
+      return findInvalidDefault(typeSchema.schemas[0], value, path)
+    case 'record':
+    case 'error':
+      // The fields of a recursive record are not known until it is parsed
+      for (const field of typeSchema.fields || []) {
+        const fieldPath = `${path}.${field.name}`
+        if (Object.prototype.hasOwnProperty.call(value, field.name)) {
+          const invalidPath = findInvalidDefault(field.type, value[field.name], fieldPath)
+          if (invalidPath !== undefined) {
+            return invalidPath
+          }
+        } else if (!field.hasDefault) {
+          return fieldPath
+        }
+      }
+      break
+  }
+  return undefined
+}
+
 /**
  * Class to describe Avro name.
  */
@@ -117,21 +213,21 @@ class Name {
   constructor (nameAttr, spaceAttr, defaultSpace) {
     // Ensure valid ctor args
     if (!(utils.isString(nameAttr) || nameAttr === undefined)) {
-      throw new Error('Name must be non-empty string or None.')
+      throw new errors.SchemaParseError('Name must be non-empty string or None.')
     } else if (nameAttr === '') {
-      throw new Error('Name must be non-empty string or None.')
+      throw new errors.SchemaParseError('Name must be non-empty string or None.')
     }
 
     if (!(utils.isString(spaceAttr) || spaceAttr === undefined)) {
-      throw new Error('Space must be non-empty string or None.')
+      throw new errors.SchemaParseError('Space must be non-empty string or None.')
     } else if (spaceAttr === '') {
-      throw new Error('Space must be non-empty string or None.')
+      throw new errors.SchemaParseError('Space must be non-empty string or None.')
     }
 
     if (!(utils.isString(defaultSpace) || defaultSpace === undefined)) {
-      throw new Error('Default must be non-empty string or None.')
+      throw new errors.SchemaParseError('Default must be non-empty string or None.')
     } else if (defaultSpace === '') {
-      throw new Error('Default must be non-empty string or None.')
+      throw new errors.SchemaParseError('Default must be non-empty string or None.')
     }
 
     this._full = undefined
@@ -172,10 +268,8 @@ class Name {
     }
 
     if (this._full.indexOf('.') > 0) {
-      // TODO: Check that this is correct
-      return this._full.split('.', 1).reverse()[0]
+      return this._full.slice(0, this._full.lastIndexOf('.'))
     } else {
-      // TODO: This might not be correct.
       return undefined
     }
   }
@@ -241,9 +335,9 @@ class Names {
     const toAdd = new Name(nameAttr, spaceAttr, this.defaultNamespace)
 
     if (toAdd.fullname in constants.VALID_TYPES) {
-      throw new Error(`${toAdd.fullname} is a reserved type name.`)
+      throw new errors.SchemaParseError(`${toAdd.fullname} is a reserved type name.`)
     } else if (Object.prototype.hasOwnProperty.call(this.names, toAdd.fullname)) {
-      throw new Error(`The name "${toAdd.fullname}" is already in use.`)
+      throw new errors.SchemaParseError(`The name "${toAdd.fullname}" is already in use.`)
     }
 
     this.names[toAdd.fullname] = newSchema
@@ -258,9 +352,9 @@ class Schema {
   constructor (type, otherProps, logicalType) {
     // Ensure valid ctor args
     if (!utils.isString(type)) {
-      throw new Error('Schema type must be a string.')
+      throw new errors.SchemaParseError('Schema type must be a string.')
     } else if (!constants.VALID_TYPES.includes(type)) {
-      throw new Error(`${type} is not a valid type.`)
+      throw new errors.SchemaParseError(`${type} is not a valid type.`)
     }
 
     if (logicalType !== undefined) {
@@ -310,6 +404,31 @@ class Schema {
   toJson (names) {
     throw new Error('Must be implemented by subclasses.')
   }
+
+  /**
+   * Parsing Canonical Form of the schema, as defined in the AVRO specification.
+   */
+  toCanonicalString () {
+    return JSON.stringify(this.toCanonicalJson())
+  }
+
+  /**
+   * Fingerprint of the Parsing Canonical Form of the schema.
+   * @param {string} algorithm One of CRC-64-AVRO (default), MD5 or SHA-256.
+   */
+  fingerprint (algorithm) {
+    return fingerprints.fingerprint(this, algorithm)
+  }
+
+  /**
+   * Converts the schema object into the JSON of its Parsing Canonical Form:
+   * fullnames only, no attributes besides type, name, fields, symbols,
+   * items, values and size, and named types only defined once.
+   * @param {object} names
+   */
+  toCanonicalJson (names) {
+    throw new Error('Must be implemented by subclasses.')
+  }
 }
 
 /**
@@ -317,13 +436,20 @@ class Schema {
  */
 class NamedSchema extends Schema {
   constructor (type, name, namespace, names, otherProps, logicalType) {
+    // Message requests are anonymous records, they have no name to register
+    if (type === 'request') {
+      super(type, otherProps, logicalType)
+      this._aliases = []
+      return
+    }
+
     // Ensure valid ctor args
     if (name === undefined) {
-      throw new Error('Named Schemas must have a non-empty name.')
+      throw new errors.SchemaParseError('Named Schemas must have a non-empty name.')
     } else if (!utils.isString(name)) {
-      throw new Error('The name property must be a string.')
+      throw new errors.SchemaParseError('The name property must be a string.')
     } else if (namespace !== undefined && !utils.isString(namespace)) {
-      throw new Error('The namespace property must be a string.')
+      throw new errors.SchemaParseError('The namespace property must be a string.')
     }
 
     // Call parent ctor
@@ -335,11 +461,18 @@ class NamedSchema extends Schema {
     // Store name and namespace as they were read in origin schema
     this.setProp('name', name)
     if (namespace !== undefined) {
-      this.setProp('namespace', newName.get_space())
+      this.setProp('namespace', newName.getSpace())
     }
 
     // Store full name as calculated from name, namespace
     this._fullname = newName.fullname
+
+    // Aliases are relative to the namespace of the name
+    const aliases = this.getProp('aliases')
+    if (aliases !== undefined && (!Array.isArray(aliases) || !aliases.every(utils.isString))) {
+      throw new errors.SchemaParseError('The aliases property must be a list of names.')
+    }
+    this._aliases = (aliases || []).map(alias => new Name(alias, undefined, newName.getSpace()).fullname)
   }
 
   nameRef (names) {
@@ -362,17 +495,31 @@ class NamedSchema extends Schema {
   get fullname () {
     return this._fullname
   }
+
+  /**
+   * Fullnames of the aliases.
+   */
+  get aliases () {
+    return this._aliases
+  }
 }
 
 class Field {
-  constructor (type, name, hasDefault, defaultValue, order, names, doc, otherProps) {
+  /**
+   * @param {string} recordName Fullname of the record of the field, which
+   *   prefixes the path of an invalid default value. None for requests.
+   */
+  constructor (type, name, hasDefault, defaultValue, order, names, doc, otherProps, recordName) {
     // Ensure valid ctor args
     if (name === undefined) {
-      throw new Error('Fields must have a non-empty name.')
+      throw new errors.SchemaParseError('Fields must have a non-empty name.')
     } else if (!utils.isString(name)) {
-      throw new Error('The name property must be a string.')
+      throw new errors.SchemaParseError('The name property must be a string.')
     } else if (order !== undefined && !constants.VALID_FIELD_SORT_ORDERS.includes(order)) {
-      throw new Error(`The order property ${order} is not valid.`)
+      throw new errors.SchemaParseError(`The order property ${order} is not valid.`)
+    } else if (otherProps !== undefined && otherProps.aliases !== undefined &&
+        (!Array.isArray(otherProps.aliases) || !otherProps.aliases.every(utils.isString))) {
+      throw new errors.SchemaParseError('The aliases property must be a list of names.')
     }
 
     // add members
@@ -387,7 +534,7 @@ class Field {
       try {
         typeSchema = makeAvscObject(type, names)
       } catch (e) {
-        throw new Error(`Type property "${type}" not a valid Avro schema: ${e}`)
+        throw new errors.SchemaParseError(`Type property "${type}" not a valid Avro schema: ${e}`, { cause: e })
       }
     }
     this.setProp('type', typeSchema)
@@ -395,8 +542,11 @@ class Field {
     this.type = typeSchema
     this.name = name
 
-    // TODO(hammer): check to ensure default is valid
     if (hasDefault) {
+      const invalidPath = findInvalidDefault(typeSchema, defaultValue, recordName === undefined ? name : `${recordName}.${name}`)
+      if (invalidPath !== undefined) {
+        throw new errors.SchemaParseError(`Invalid default value for field ${name}: ${invalidPath} does not match its schema.`, { path: invalidPath })
+      }
       this.setProp('default', defaultValue)
     }
     if (order !== undefined) {
@@ -420,6 +570,10 @@ class Field {
     return this.getProp('order')
   }
 
+  get aliases () {
+    return this.getProp('aliases') || []
+  }
+
   get doc () {
     return this.getProp('doc')
   }
@@ -472,7 +626,7 @@ class PrimitiveSchema extends Schema {
   constructor (type, otherProps, logicalType) {
     // Ensure valid ctor args
     if (!constants.PRIMITIVE_TYPES.includes(type)) {
-      throw new Error(`${type} is not a valid primitive type.`)
+      throw new errors.SchemaParseError(`${type} is not a valid primitive type.`)
     }
 
     // Call parent ctor
@@ -488,6 +642,10 @@ class PrimitiveSchema extends Schema {
     }
   }
 
+  toCanonicalJson (names) {
+    return this.fullname
+  }
+
   equals (that) {
     return utils.isEqual(this.props, that.props)
   }
@@ -496,7 +654,7 @@ class PrimitiveSchema extends Schema {
 class FixedSchema extends NamedSchema {
   constructor (name, namespace, size, names, otherProps, logicalType) {
     if (!utils.isNumber(size) || size < 0) {
-      throw new Error('Fixed Schema requires a valid positive integer for size property.')
+      throw new errors.SchemaParseError('Fixed Schema requires a valid positive integer for size property.')
     }
 
     // Call parent ctor
@@ -524,6 +682,18 @@ class FixedSchema extends NamedSchema {
     }
   }
 
+  toCanonicalJson (names) {
+    if (names === undefined) {
+      names = new Names()
+    }
+
+    if (Object.keys(names.names).includes(this.fullname)) {
+      return this.fullname
+    }
+    names.names[this.fullname] = this
+    return { name: this.fullname, type: this.type, size: this.size }
+  }
+
   equals (that) {
     return utils.isEqual(this.props, that.props)
   }
@@ -533,16 +703,21 @@ class EnumSchema extends NamedSchema {
   constructor (name, namespace, symbols, names, doc, otherProps, logicalType) {
     // Ensure valid ctor args
     if (!Array.isArray(symbols)) {
-      throw new Error('Enum Schema requires a JSON array for the symbols property.')
+      throw new errors.SchemaParseError('Enum Schema requires a JSON array for the symbols property.')
     } else if (symbols.map(utils.isString).includes(false)) {
-      throw new Error('Enum Schema requires all symbols to be JSON strings.')
+      throw new errors.SchemaParseError('Enum Schema requires all symbols to be JSON strings.')
     } else if (new Set(symbols).size < symbols.length) {
-      throw new Error(`Duplicate symbol: ${symbols}`)
+      throw new errors.SchemaParseError(`Duplicate symbol: ${symbols}`)
     }
 
     // Call parent ctor
     super('enum', name, namespace, names, otherProps, logicalType)
 
+    // The default symbol is read in place of symbols unknown to the reader
+    if (this.default !== undefined && !symbols.includes(this.default)) {
+      throw new errors.SchemaParseError(`The default symbol ${JSON.stringify(this.default)} is not one of the enum symbols: ${symbols}`)
+    }
+
     // Add class members
     this.setProp('symbols', symbols)
     if (doc !== undefined) {
@@ -555,6 +730,10 @@ class EnumSchema extends NamedSchema {
     return this.getProp('symbols')
   }
 
+  get default () {
+    return this.getProp('default')
+  }
+
   get doc () {
     return this.getProp('doc')
   }
@@ -572,6 +751,18 @@ class EnumSchema extends NamedSchema {
     }
   }
 
+  toCanonicalJson (names) {
+    if (names === undefined) {
+      names = new Names()
+    }
+
+    if (Object.keys(names.names).includes(this.fullname)) {
+      return this.fullname
+    }
+    names.names[this.fullname] = this
+    return { name: this.fullname, type: this.type, symbols: this.symbols }
+  }
+
   equals (that) {
     return utils.isEqual(this.props, that.props)
   }
@@ -583,7 +774,7 @@ class RecordSchema extends NamedSchema {
    * @param {*} fieldData
    * @param {*} names
    */
-  static makeFieldObjects (fieldData, names) {
+  static makeFieldObjects (fieldData, names, recordName) {
     const fieldObjects = []
     const fieldNames = []
     for (const field of fieldData) {
@@ -602,15 +793,15 @@ class RecordSchema extends NamedSchema {
         const order = field.order
         const doc = field.doc
         const otherProps = getOtherProps(field, constants.FIELD_RESERVED_PROPS)
-        const newField = new Field(type, name, hasDefault, defaultValue, order, names, doc, otherProps)
+        const newField = new Field(type, name, hasDefault, defaultValue, order, names, doc, otherProps, recordName)
         // make sure field name has not been used yet
         if (fieldNames.includes(newField.name)) {
-          throw new Error(`Field name ${newField.name} already in use.`)
+          throw new errors.SchemaParseError(`Field name ${newField.name} already in use.`)
         }
         fieldNames.push(newField.name)
         fieldObjects.push(newField)
       } else {
-        throw new Error(`Not a valid field: ${field}`)
+        throw new errors.SchemaParseError(`Not a valid field: ${field}`)
       }
     }
 
@@ -620,17 +811,13 @@ class RecordSchema extends NamedSchema {
   constructor (name, namespace, fields, names, schemaType = 'record', doc, otherProps, logicalType) {
     // Ensure valid ctor args
     if (fields === undefined) {
-      throw new Error('Record schema requires a non-empty fields property.')
+      throw new errors.SchemaParseError('Record schema requires a non-empty fields property.')
     } else if (!Array.isArray(fields)) {
-      throw new Error('Fields property must be a list of Avro schemas.')
+      throw new errors.SchemaParseError('Fields property must be a list of Avro schemas.')
     }
 
     // Call parent ctor (adds own name to namespace, too)
-    if (schemaType === 'request') {
-      throw new Error('Schema type request in not implemented')
-    } else {
-      super(schemaType, name, namespace, names, otherProps, logicalType)
-    }
+    super(schemaType, name, namespace, names, otherProps, logicalType)
 
     let oldDefault
     if (schemaType === 'record') {
@@ -639,7 +826,7 @@ class RecordSchema extends NamedSchema {
     }
 
     // Add class members
-    const fieldObjects = RecordSchema.makeFieldObjects(fields, names)
+    const fieldObjects = RecordSchema.makeFieldObjects(fields, names, schemaType === 'request' ? undefined : this.fullname)
     this.setProp('fields', fieldObjects)
     if (doc !== undefined) {
       this.setProp('doc', doc)
@@ -688,6 +875,25 @@ class RecordSchema extends NamedSchema {
     return toDump
   }
 
+  toCanonicalJson (names) {
+    if (names === undefined) {
+      names = new Names()
+    }
+
+    const fields = () => this.fields.map(f => ({ name: f.name, type: f.type.toCanonicalJson(names) }))
+
+    // Request records don't have names
+    if (this.type === 'request') {
+      return fields()
+    }
+
+    if (Object.keys(names.names).includes(this.fullname)) {
+      return this.fullname
+    }
+    names.names[this.fullname] = this
+    return { name: this.fullname, type: this.type, fields: fields() }
+  }
+
   equals (that) {
     const toCmp = JSON.parse(this)
     return utils.isEqual(toCmp, JSON.parse(that))
@@ -701,7 +907,7 @@ class UnionSchema extends Schema {
   constructor (schemas, names, logicalType) {
     // Ensure valid ctor args
     if (!Array.isArray(schemas)) {
-      throw new Error('Union schema requires a list of schemas.')
+      throw new errors.SchemaParseError('Union schema requires a list of schemas.')
     }
 
     // Call parent ctor
@@ -717,7 +923,7 @@ class UnionSchema extends Schema {
         try {
           newSchema = makeAvscObject(schema, names)
         } catch (e) {
-          throw new Error(`Union item must be a valid Avro schema: ${e}`)
+          throw new errors.SchemaParseError(`Union item must be a valid Avro schema: ${e}`, { cause: e })
         }
       }
 
@@ -726,9 +932,9 @@ class UnionSchema extends Schema {
           !constants.NAMED_TYPES.includes(newSchema.type) &&
           schemaObjects.map(s => s.type).includes(newSchema.type)
       ) {
-        throw new Error(`${newSchema.type} type already in Union`)
+        throw new errors.SchemaParseError(`${newSchema.type} type already in Union`)
       } else if (newSchema.type === 'union') {
-        throw new Error('Unions cannot contain other unions.')
+        throw new errors.SchemaParseError('Unions cannot contain other unions.')
       } else {
         schemaObjects.push(newSchema)
       }
@@ -753,6 +959,14 @@ class UnionSchema extends Schema {
     return toDump
   }
 
+  toCanonicalJson (names) {
+    if (names === undefined) {
+      names = new Names()
+    }
+
+    return this.schemas.map(s => s.toCanonicalJson(names))
+  }
+
   equals (that) {
     const toCmp = JSON.parse(this)
     return utils.isEqual(toCmp, JSON.parse(that))
@@ -772,7 +986,7 @@ class ArraySchema extends Schema {
       try {
         itemsSchema = makeAvscObject(items, names)
       } catch (e) {
-        throw new Error(`Items schema (${items}) not a valid Avro schema: ${e} (known names: ${Object.keys(names.names)})`)
+        throw new errors.SchemaParseError(`Items schema (${items}) not a valid Avro schema: ${e} (known names: ${Object.keys(names.names)})`, { cause: e })
       }
     }
     this.setProp('items', itemsSchema)
@@ -794,6 +1008,14 @@ class ArraySchema extends Schema {
     return toDump
   }
 
+  toCanonicalJson (names) {
+    if (names === undefined) {
+      names = new Names()
+    }
+
+    return { type: this.type, items: this.items.toCanonicalJson(names) }
+  }
+
   equals (that) {
     const toCmp = JSON.parse(this)
     return utils.isEqual(toCmp, JSON.parse(that))
@@ -813,7 +1035,7 @@ class MapSchema extends Schema {
       try {
         valuesSchema = makeAvscObject(values, names)
       } catch (e) {
-        throw new Error('Values schema not a valid Avro schema.')
+        throw new errors.SchemaParseError(`Values schema not a valid Avro schema: ${e}`, { cause: e })
       }
     }
 
@@ -835,6 +1057,14 @@ class MapSchema extends Schema {
     return toDump
   }
 
+  toCanonicalJson (names) {
+    if (names === undefined) {
+      names = new Names()
+    }
+
+    return { type: this.type, values: this.values.toCanonicalJson(names) }
+  }
+
   equals (that) {
     const toCmp = JSON.parse(this)
     return utils.isEqual(toCmp, JSON.parse(that))
@@ -866,6 +1096,8 @@ class ErrorUnionSchema extends UnionSchema {
 
 module.exports = {
   parse,
+  makeAvscObject,
   Schema,
-  Name
+  Name,
+  Names
 }
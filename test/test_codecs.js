@@ -0,0 +1,64 @@
+const assert = require('assert')
+const codecs = require('../src/codecs')
+const errors = require('../src/errors')
+
+const DATA = Buffer.from('Hello, Avro! '.repeat(50))
+
+describe('Codecs', () => {
+  it('CRC32 of the check string', () => {
+    assert.strictEqual(codecs.crc32(Buffer.from('123456789')), 0xcbf43926)
+    assert.strictEqual(codecs.crc32(Buffer.alloc(0)), 0)
+  })
+
+  describe('Round trip', () => {
+    for (const name of ['null', 'deflate', 'snappy']) {
+      it(name, async () => {
+        const codec = codecs.getCodec(name)
+        const compressed = await codec.compress(DATA)
+        const decompressed = await codec.decompress(compressed)
+        assert.deepStrictEqual(decompressed, DATA)
+      })
+    }
+  })
+
+  it('Deflate output is raw deflate', async () => {
+    const compressed = await codecs.getCodec('deflate').compress(DATA)
+    assert(compressed.length < DATA.length)
+    assert.deepStrictEqual(require('zlib').inflateRawSync(compressed), DATA)
+  })
+
+  it('Snappy appends the big-endian CRC32 of the uncompressed data', async () => {
+    const compressed = await codecs.getCodec('snappy').compress(DATA)
+    assert.strictEqual(compressed.readUInt32BE(compressed.length - 4), codecs.crc32(DATA))
+  })
+
+  it('Snappy rejects a checksum mismatch', async () => {
+    const snappy = codecs.getCodec('snappy')
+    const compressed = Buffer.from(await snappy.compress(DATA))
+    compressed[compressed.length - 1] ^= 0xff
+    assert.throws(() => snappy.decompress(compressed), err => err instanceof errors.CorruptDataError && /checksum mismatch/.test(err.message))
+    assert.throws(() => snappy.decompress(Buffer.from([0, 1])), errors.CorruptDataError)
+    assert.throws(() => snappy.decompress(Buffer.from([0xff, 0xff, 0xff, 0xff, 0x0f, 0, 0, 0, 0])), errors.CorruptDataError)
+  })
+
+  it('Deflate rejects invalid data', async () => {
+    await assert.rejects(() => codecs.getCodec('deflate').decompress(Buffer.from([0xff, 0xff, 0xff])), errors.CorruptDataError)
+  })
+
+  it('Unknown codec', () => {
+    assert.throws(() => codecs.getCodec('lzma'), /Unknown codec: lzma/)
+    assert(!codecs.hasCodec('lzma'))
+  })
+
+  it('Register a custom codec', async () => {
+    const reverse = buf => Buffer.from(buf).reverse()
+    codecs.registerCodec('test-reverse', { compress: reverse, decompress: reverse })
+    const codec = codecs.getCodec('test-reverse')
+    assert.deepStrictEqual(await codec.decompress(await codec.compress(DATA)), DATA)
+  })
+
+  it('Reject an invalid codec', () => {
+    assert.throws(() => codecs.registerCodec('broken', { compress: buf => buf }))
+    assert.throws(() => codecs.registerCodec('', { compress: buf => buf, decompress: buf => buf }))
+  })
+})
@@ -0,0 +1,231 @@
+const assert = require('assert')
+const compare = require('../src/compare')
+const errors = require('../src/errors')
+const schema = require('../src/schema')
+const io = require('../src/io')
+const Tap = require('../src/tap')
+
+async function encode (writersSchema, datum, options) {
+  const tap = new Tap(Buffer.alloc(1024))
+  await new io.DatumWriter(writersSchema, options).write(datum, tap)
+  return tap.buf.subarray(0, tap.pos)
+}
+
+// Schemas with datums in ascending order, and the options of the datums
+const ORDERED_EXAMPLES = [
+  ['"null"', [null]],
+  ['"boolean"', [false, true]],
+  ['"int"', [-1000, -1, 0, 1, 63, 64, 1000]],
+  ['"long"', [-Math.pow(2, 40), -2, 0, 2, Math.pow(2, 40)]],
+  ['"long"', ['-9223372036854775808', '-9007199254740993', '-9007199254740992', '0', '9007199254740992', '9007199254740993', '9223372036854775807'], { longMode: 'string' }],
+  ['"float"', [-Infinity, -1.5, 0, 0.25, 3]],
+  ['"double"', [-1e300, -0.5, 0, 1e-300, 1e300, NaN]],
+  ['"string"', ['', 'a', 'ab', 'b', 'z', 'é', '\u{1f600}']],
+  ['"bytes"', [Buffer.from([]), Buffer.from([0]), Buffer.from([0, 255]), Buffer.from([1]), Buffer.from([255])]],
+  ['{"type": "fixed", "name": "F", "size": 2}', [Buffer.from([0, 1]), Buffer.from([0, 2]), Buffer.from([1, 0])]],
+  ['{"type": "enum", "name": "E", "symbols": ["Z", "Y", "X"]}', ['Z', 'Y', 'X']],
+  ['{"type": "array", "items": "int"}', [[], [0], [0, 0], [0, 1], [1]]],
+  ['["null", "int", "string"]', [null, -1, 5, '', 'a']]
+]
+
+describe('Compare', () => {
+  describe('Sort order', () => {
+    for (const [schemaJson, datums, options] of ORDERED_EXAMPLES) {
+      it(schemaJson, async () => {
+        const s = schema.parse(schemaJson)
+        const bufs = await Promise.all(datums.map(d => encode(s, d, options)))
+        for (let i = 0; i < bufs.length; i++) {
+          for (let j = 0; j < bufs.length; j++) {
+            assert.strictEqual(compare.compareBuffers(s, bufs[i], bufs[j]), Math.sign(i - j), `${datums[i]} <=> ${datums[j]}`)
+          }
+        }
+      })
+    }
+  })
+
+  describe('Records', () => {
+    const s = schema.parse(`
+      {"type": "record", "name": "Test",
+       "fields": [{"name": "kind", "type": "string"},
+                  {"name": "ts", "type": "long", "order": "descending"},
+                  {"name": "note", "type": {"type": "map", "values": "string"}, "order": "ignore"},
+                  {"name": "id", "type": "int", "order": "ascending"}]}`)
+
+    it('Honor the field sort orders', async () => {
+      const datums = [
+        { kind: 'a', ts: 3, note: { x: 'first' }, id: 1 },
+        { kind: 'a', ts: 3, note: {}, id: 2 },
+        { kind: 'a', ts: 1, note: {}, id: 0 },
+        { kind: 'b', ts: 5, note: {}, id: 0 }
+      ]
+      const bufs = await Promise.all(datums.map(d => encode(s, d)))
+      const shuffled = [bufs[3], bufs[1], bufs[0], bufs[2]]
+      assert.deepStrictEqual(shuffled.sort((a, b) => compare.compareBuffers(s, a, b)), bufs)
+    })
+
+    it('Ignore fields with the ignore order', async () => {
+      const a = await encode(s, { kind: 'a', ts: 1, note: { x: 'y' }, id: 1 })
+      const b = await encode(s, { kind: 'a', ts: 1, note: {}, id: 1 })
+      assert.strictEqual(compare.compareBuffers(s, a, b), 0)
+    })
+  })
+
+  it('Reads arrays in blocks', () => {
+    const s = schema.parse('{"type": "array", "items": "int"}')
+    // [1, 2, 3] as a block of 2 items with its size and a block of 1 item
+    const blocks = Buffer.from([0x03, 0x04, 0x02, 0x04, 0x02, 0x06, 0x00])
+    const single = Buffer.from([0x06, 0x02, 0x04, 0x06, 0x00])
+    assert.strictEqual(compare.compareBuffers(s, blocks, single), 0)
+    assert.strictEqual(compare.compareBuffers(s, blocks, Buffer.from([0x04, 0x02, 0x04, 0x00])), 1)
+  })
+
+  it('Rejects maps', async () => {
+    const s = schema.parse('{"type": "map", "values": "int"}')
+    const buf = await encode(s, { a: 1 })
+    assert.throws(() => compare.compareBuffers(s, buf, buf), /cannot be compared/)
+  })
+
+  it('Rejects truncated encodings', async () => {
+    const s = schema.parse('"string"')
+    const buf = await encode(s, 'abc')
+    assert.throws(() => compare.compareBuffers(s, buf, buf.subarray(0, 2)), /truncated/)
+  })
+
+  it('Rejects truncated fixed and bytes', async () => {
+    const f = schema.parse('{"type": "fixed", "name": "F", "size": 4}')
+    const fixed = Buffer.from([1, 2, 3, 4])
+    assert.throws(() => compare.compareBuffers(f, fixed, fixed.subarray(0, 2)), errors.TruncatedDataError)
+    assert.throws(() => compare.compareBuffers(f, fixed.subarray(0, 3), fixed), errors.TruncatedDataError)
+    const b = schema.parse('"bytes"')
+    const bytes = await encode(b, Buffer.from([1, 2, 3]))
+    assert.throws(() => compare.compareBuffers(b, bytes.subarray(0, 2), bytes), errors.TruncatedDataError)
+    assert.throws(() => compare.compareBuffers(b, Buffer.from([0x01]), bytes), errors.CorruptDataError)
+  })
+
+  describe('Decoded datums', () => {
+    describe('Sort order', () => {
+      for (const [schemaJson, datums, options] of ORDERED_EXAMPLES) {
+        it(schemaJson, () => {
+          const s = schema.parse(schemaJson)
+          for (let i = 0; i < datums.length; i++) {
+            for (let j = 0; j < datums.length; j++) {
+              assert.strictEqual(compare.compare(s, datums[i], datums[j], options), Math.sign(i - j), `${datums[i]} <=> ${datums[j]}`)
+              assert.strictEqual(compare.equals(s, datums[i], datums[j], options), i === j)
+            }
+          }
+        })
+      }
+    })
+
+    it('Agrees with the binary comparison', async () => {
+      const s = schema.parse(`
+        {"type": "record", "name": "Test",
+         "fields": [{"name": "tag", "type": ["null", "string"]},
+                    {"name": "scores", "type": {"type": "array", "items": "double"}, "order": "descending"}]}`)
+      const datums = [
+        { tag: null, scores: [1] },
+        { tag: null, scores: [0.5, 2] },
+        { tag: 'a', scores: [] },
+        { tag: 'a', scores: [NaN] },
+        { tag: '\uffff', scores: [] },
+        { tag: '\u{1f600}', scores: [] }
+      ]
+      const bufs = await Promise.all(datums.map(d => encode(s, d)))
+      for (let i = 0; i < datums.length; i++) {
+        for (let j = 0; j < datums.length; j++) {
+          assert.strictEqual(compare.compare(s, datums[i], datums[j]), compare.compareBuffers(s, bufs[i], bufs[j]), `${i} <=> ${j}`)
+        }
+      }
+    })
+
+    it('Rejects maps when comparing', () => {
+      const s = schema.parse('{"type": "map", "values": "int"}')
+      assert.throws(() => compare.compare(s, { a: 1 }, { a: 1 }), /cannot be compared/)
+    })
+
+    describe('Equality and hashing', () => {
+      const s = schema.parse(`
+        {"type": "record", "name": "Test",
+         "fields": [{"name": "id", "type": "long"},
+                    {"name": "attrs", "type": {"type": "map", "values": ["null", "bytes"]}},
+                    {"name": "note", "type": "string", "order": "ignore"}]}`)
+
+      it('Equal datums have equal hashes', () => {
+        const a = { id: 0, attrs: { x: null, y: Buffer.from([1]) }, note: 'a' }
+        const b = { id: -0, attrs: { y: Buffer.from([1]), x: null }, note: 'b' }
+        assert(compare.equals(s, a, b))
+        assert.strictEqual(compare.hash(s, a), compare.hash(s, b))
+      })
+
+      it('Different datums have different hashes', () => {
+        const datums = [
+          { id: 1, attrs: {}, note: '' },
+          { id: 2, attrs: {}, note: '' },
+          { id: 1, attrs: { x: null }, note: '' },
+          { id: 1, attrs: { x: Buffer.from([]) }, note: '' },
+          { id: 1, attrs: { xy: null }, note: '' },
+          { id: 1, attrs: { x: null, y: null }, note: '' }
+        ]
+        const hashes = new Set(datums.map(d => compare.hash(s, d)))
+        assert.strictEqual(hashes.size, datums.length)
+        for (let i = 0; i < datums.length; i++) {
+          for (let j = 0; j < datums.length; j++) {
+            assert.strictEqual(compare.equals(s, datums[i], datums[j]), i === j)
+          }
+        }
+      })
+
+      it('Hashes are stable', () => {
+        assert.strictEqual(compare.hash(schema.parse('"string"'), 'abc'), 'dd17992972185826ae5a155df794a0de')
+      })
+    })
+
+    describe('Options', () => {
+      const s = schema.parse('["null", "long"]')
+
+      it('Unions of BigInt longs', () => {
+        const options = { longMode: 'bigint' }
+        const datums = [null, BigInt('-9223372036854775808'), BigInt(-1), BigInt(0), BigInt('9007199254740993'), BigInt('9223372036854775807')]
+        for (let i = 1; i < datums.length; i++) {
+          assert.strictEqual(compare.compare(s, datums[i - 1], datums[i], options), -1)
+          assert.strictEqual(compare.compare(s, datums[i], datums[i - 1], options), 1)
+        }
+        assert(compare.equals(s, BigInt(5), BigInt(5), options))
+        assert.strictEqual(compare.hash(s, BigInt(5), options), compare.hash(s, 5))
+        assert.notStrictEqual(compare.hash(s, BigInt('9007199254740993'), options), compare.hash(s, BigInt('9007199254740992'), options))
+      })
+
+      it('Unions of string longs', () => {
+        const options = { longMode: 'string' }
+        assert.strictEqual(compare.compare(s, '9', '10', options), -1)
+        assert.strictEqual(compare.compare(s, '-10', '-9', options), -1)
+        assert.strictEqual(compare.hash(s, '10', options), compare.hash(s, BigInt(10), { longMode: 'bigint' }))
+      })
+
+      it('Unions of logical types', () => {
+        const ls = schema.parse('["null", {"type": "long", "logicalType": "timestamp-millis"}]')
+        const options = {
+          logicalTypes: {
+            'timestamp-millis': {
+              validateBeforeToValue: value => value instanceof Date,
+              toValue: value => value.getTime(),
+              validateBeforeFromValue: () => true,
+              fromValue: value => new Date(value)
+            }
+          }
+        }
+        assert.strictEqual(compare.compare(ls, null, new Date(0), options), -1)
+        assert.strictEqual(compare.compare(ls, new Date(2000), new Date(1000), options), 1)
+        assert(compare.equals(ls, new Date(1000), new Date(1000), options))
+        assert.strictEqual(compare.hash(ls, new Date(1000), options), compare.hash(s, 1000))
+        assert.throws(() => compare.compare(ls, new Date(0), new Date(0)), /AvroTypeError|not an example/)
+      })
+
+      it('Rejects asynchronous logical types', () => {
+        const ls = schema.parse('{"type": "long", "logicalType": "later"}')
+        const options = { logicalTypes: { later: { validateBeforeToValue: () => true, toValue: async value => value } } }
+        assert.throws(() => compare.compare(ls, 1, 2, options), { name: 'LogicalTypeError', logicalType: 'later' })
+      })
+    })
+  })
+})
@@ -0,0 +1,113 @@
+const assert = require('assert')
+const compatibility = require('../src/compatibility')
+const schema = require('../src/schema')
+
+function record (name, fields) {
+  return { type: 'record', name, fields }
+}
+
+const COMPATIBLE_PAIRS = [
+  ['"int"', '"int"'],
+  ['"int"', '"long"'],
+  ['"int"', '"double"'],
+  ['"long"', '"float"'],
+  ['"float"', '"double"'],
+  ['{"type": "array", "items": "int"}', '{"type": "array", "items": "long"}'],
+  ['{"type": "map", "values": "float"}', '{"type": "map", "values": "double"}'],
+  ['{"type": "fixed", "name": "F", "size": 4}', '{"type": "fixed", "name": "F", "size": 4}'],
+  ['{"type": "enum", "name": "E", "symbols": ["A", "B"]}', '{"type": "enum", "name": "E", "symbols": ["C", "B", "A"]}'],
+  ['"int"', '["null", "int"]'],
+  ['"int"', '["null", "long"]'],
+  ['"string"', '"bytes"'],
+  ['"bytes"', '"string"'],
+  ['{"type": "fixed", "name": "org.old.F", "size": 4}', '{"type": "fixed", "name": "org.new.F", "size": 4}'],
+  ['{"type": "enum", "name": "E", "symbols": ["A", "B", "C"]}', '{"type": "enum", "name": "E", "symbols": ["A", "Z"], "default": "Z"}'],
+  ['{"type": "enum", "name": "Old", "symbols": ["A"]}', '{"type": "enum", "name": "New", "aliases": ["Old"], "symbols": ["A"]}'],
+  [JSON.stringify(record('R', [{ name: 'old', type: 'int' }])),
+    JSON.stringify(record('R', [{ name: 'new', type: 'long', aliases: ['old'] }]))],
+  ['["null", "int"]', '["int", "null", "string"]'],
+  ['["int", "long"]', '"long"'],
+  [JSON.stringify(record('R', [{ name: 'a', type: 'int' }, { name: 'b', type: 'string' }])),
+    JSON.stringify(record('R', [{ name: 'a', type: 'long' }]))],
+  [JSON.stringify(record('R', [{ name: 'a', type: 'int' }])),
+    JSON.stringify(record('R', [{ name: 'a', type: 'int' }, { name: 'b', type: 'string', default: 'b' }]))],
+  [JSON.stringify(record('List', [{ name: 'value', type: 'int' }, { name: 'next', type: ['null', 'List'] }])),
+    JSON.stringify(record('List', [{ name: 'value', type: 'long' }, { name: 'next', type: ['null', 'List'] }]))]
+]
+
+const INCOMPATIBLE_PAIRS = [
+  ['"long"', '"int"', [['TYPE_MISMATCH', '/']]],
+  ['"string"', '"int"', [['TYPE_MISMATCH', '/']]],
+  ['{"type": "array", "items": "long"}', '{"type": "array", "items": "int"}', [['TYPE_MISMATCH', '/items']]],
+  ['{"type": "map", "values": "string"}', '{"type": "map", "values": "int"}', [['TYPE_MISMATCH', '/values']]],
+  ['{"type": "fixed", "name": "F", "size": 4}', '{"type": "fixed", "name": "F", "size": 8}', [['FIXED_SIZE_MISMATCH', '/size']]],
+  ['{"type": "fixed", "name": "F", "size": 4}', '{"type": "fixed", "name": "G", "size": 4}', [['NAME_MISMATCH', '/name']]],
+  ['{"type": "enum", "name": "E", "symbols": ["A", "B", "C"]}', '{"type": "enum", "name": "E", "symbols": ["A"]}', [['MISSING_ENUM_SYMBOLS', '/symbols']]],
+  ['"string"', '["null", "int"]', [['MISSING_UNION_BRANCH', '/']]],
+  ['["null", "string", "int"]', '["null", "int"]', [['MISSING_UNION_BRANCH', '/']]],
+  ['["null", "long"]', '["null", "int"]', [['MISSING_UNION_BRANCH', '/']]],
+  [JSON.stringify(record('R', [{ name: 'a', type: 'int' }])),
+    JSON.stringify(record('R', [{ name: 'a', type: 'int' }, { name: 'b', type: 'string' }])),
+    [['READER_FIELD_MISSING_DEFAULT_VALUE', '/fields/1']]],
+  [JSON.stringify(record('R', [{ name: 'a', type: 'long' }, { name: 'b', type: { type: 'array', items: ['null', 'string'] } }])),
+    JSON.stringify(record('R', [{ name: 'b', type: { type: 'array', items: ['null', 'int'] } }, { name: 'a', type: 'int' }])),
+    [['MISSING_UNION_BRANCH', '/fields/0/type/items'], ['TYPE_MISMATCH', '/fields/1/type']]],
+  [JSON.stringify({ type: 'error', name: 'R', fields: [] }), JSON.stringify(record('R', [])), [['TYPE_MISMATCH', '/']]]
+]
+
+describe('Compatibility', () => {
+  describe('Compatible schemas', () => {
+    for (const [writer, reader] of COMPATIBLE_PAIRS) {
+      it(`${writer} -> ${reader}`, () => {
+        assert.deepStrictEqual(compatibility.checkCompatibility(schema.parse(writer), schema.parse(reader)), { compatible: true, incompatibilities: [] })
+      })
+    }
+  })
+
+  describe('Incompatible schemas', () => {
+    for (const [writer, reader, expected] of INCOMPATIBLE_PAIRS) {
+      it(`${writer} -> ${reader}`, () => {
+        const result = compatibility.checkCompatibility(schema.parse(writer), schema.parse(reader))
+        assert.strictEqual(result.compatible, false)
+        assert.deepStrictEqual(result.incompatibilities.map(i => [i.type, i.path]), expected)
+        for (const incompatibility of result.incompatibilities) {
+          assert.strictEqual(incompatibility.direction, 'backward')
+          assert.strictEqual(typeof incompatibility.message, 'string')
+        }
+      })
+    }
+  })
+
+  describe('Modes', () => {
+    const v1 = schema.parse(JSON.stringify(record('R', [{ name: 'a', type: 'int' }])))
+    const v2 = schema.parse(JSON.stringify(record('R', [{ name: 'a', type: 'long' }, { name: 'b', type: 'string', default: '' }])))
+
+    it('Backward', () => {
+      assert.strictEqual(compatibility.checkCompatibility(v1, v2, 'backward').compatible, true)
+      assert.strictEqual(compatibility.checkCompatibility(v2, v1, 'backward').compatible, false)
+    })
+
+    it('Forward', () => {
+      assert.strictEqual(compatibility.checkCompatibility(v1, v2, 'forward').compatible, false)
+      assert.strictEqual(compatibility.checkCompatibility(v2, v1, 'forward').compatible, true)
+    })
+
+    it('Full', () => {
+      const result = compatibility.checkCompatibility(v1, v2, 'full')
+      assert.strictEqual(result.compatible, false)
+      assert.deepStrictEqual(result.incompatibilities, [{
+        type: 'TYPE_MISMATCH',
+        path: '/fields/0/type',
+        message: 'The writer\'s long cannot be read as int.',
+        direction: 'forward'
+      }])
+
+      const v3 = schema.parse(JSON.stringify(record('R', [{ name: 'a', type: 'int' }, { name: 'b', type: 'string', default: '' }])))
+      assert.strictEqual(compatibility.checkCompatibility(v1, v3, 'full').compatible, true)
+    })
+
+    it('Rejects unknown modes', () => {
+      assert.throws(() => compatibility.checkCompatibility(v1, v2, 'transitive'), /Unknown compatibility mode/)
+    })
+  })
+})
@@ -0,0 +1,141 @@
+const assert = require('assert')
+const confluent = require('../src/confluent')
+const schema = require('../src/schema')
+
+const WRITERS_SCHEMA = schema.parse(`
+  {"type": "record",
+   "name": "Test",
+   "fields": [{"name": "id", "type": "long"},
+              {"name": "label", "type": "string"}]}`)
+
+const DATUM = { id: 42, label: 'answer' }
+
+describe('Confluent wire format', () => {
+  describe('MemoryRegistryClient', () => {
+    it('Registers schemas with incrementing ids', async () => {
+      const registry = new confluent.MemoryRegistryClient()
+      const otherSchema = schema.parse('"string"')
+      assert.strictEqual(await registry.register('a-value', WRITERS_SCHEMA), 1)
+      assert.strictEqual(await registry.register('a-value', WRITERS_SCHEMA), 1)
+      assert.strictEqual(await registry.register('b-value', WRITERS_SCHEMA.toString()), 1)
+      assert.strictEqual(await registry.register('a-value', otherSchema), 2)
+
+      assert.deepStrictEqual(await registry.getLatest('a-value'), { id: 2, version: 2, schema: otherSchema.toString() })
+      assert.strictEqual(await registry.getSchemaById(1), WRITERS_SCHEMA.toString())
+    })
+
+    it('Rejects unknown ids and subjects', async () => {
+      const registry = new confluent.MemoryRegistryClient()
+      await assert.rejects(() => registry.getSchemaById(1), /Schema not found for id: 1/)
+      await assert.rejects(() => registry.getLatest('missing'), /Subject not found: missing/)
+    })
+  })
+
+  it('Writes the magic byte and schema id before the body', async () => {
+    const registry = new confluent.MemoryRegistryClient()
+    await registry.register('other', schema.parse('"int"'))
+    const encoder = new confluent.ConfluentEncoder(registry)
+    const buf = await encoder.encode('test-value', DATUM, WRITERS_SCHEMA)
+    assert.deepStrictEqual(buf.subarray(0, 5), Buffer.from([0, 0, 0, 0, 2]))
+    assert.deepStrictEqual(buf.subarray(5), Buffer.concat([Buffer.from([84, 12]), Buffer.from('answer')]))
+  })
+
+  it('Round trips through the registry', async () => {
+    const registry = new confluent.MemoryRegistryClient()
+    const encoder = new confluent.ConfluentEncoder(registry)
+    const decoder = new confluent.ConfluentDecoder(registry)
+    assert.deepStrictEqual(await decoder.decode(await encoder.encode('test-value', DATUM, WRITERS_SCHEMA)), DATUM)
+  })
+
+  it('Encodes with the latest schema of the subject', async () => {
+    const registry = new confluent.MemoryRegistryClient()
+    await registry.register('test-value', WRITERS_SCHEMA)
+    const encoder = new confluent.ConfluentEncoder(registry)
+    const decoder = new confluent.ConfluentDecoder(registry)
+    const buf = await encoder.encode('test-value', DATUM)
+    assert.strictEqual(buf.readUInt32BE(1), 1)
+    assert.deepStrictEqual(await decoder.decode(buf), DATUM)
+  })
+
+  it('Resolves against the reader\'s schema', async () => {
+    const readersSchema = schema.parse(`
+      {"type": "record",
+       "name": "Test",
+       "fields": [{"name": "label", "type": "string"},
+                  {"name": "count", "type": "int", "default": 0}]}`)
+    const registry = new confluent.MemoryRegistryClient()
+    const encoder = new confluent.ConfluentEncoder(registry)
+    const decoder = new confluent.ConfluentDecoder(registry, readersSchema)
+    const buf = await encoder.encode('test-value', DATUM, WRITERS_SCHEMA)
+    assert.deepStrictEqual(await decoder.decode(buf), { label: 'answer', count: 0 })
+  })
+
+  it('Caches registrations and parsed schemas', async () => {
+    const registry = new confluent.MemoryRegistryClient()
+    const calls = { register: 0, getSchemaById: 0 }
+    const countingRegistry = {
+      register: (subject, s) => { calls.register++; return registry.register(subject, s) },
+      getLatest: (subject) => registry.getLatest(subject),
+      getSchemaById: (id) => { calls.getSchemaById++; return registry.getSchemaById(id) }
+    }
+    const encoder = new confluent.ConfluentEncoder(countingRegistry)
+    const decoder = new confluent.ConfluentDecoder(countingRegistry)
+    const buffers = await Promise.all([1, 2, 3].map(id => encoder.encode('test-value', { id, label: 'x' }, WRITERS_SCHEMA)))
+    const datums = await Promise.all(buffers.map(buf => decoder.decode(buf)))
+    assert.deepStrictEqual(datums.map(d => d.id), [1, 2, 3])
+    assert.deepStrictEqual(calls, { register: 1, getSchemaById: 1 })
+  })
+
+  it('Registers schemas differing by their logical types separately', async () => {
+    const registry = new confluent.MemoryRegistryClient()
+    const encoder = new confluent.ConfluentEncoder(registry)
+    const plain = schema.parse('"bytes"')
+    const decimal = schema.parse('{"type": "bytes", "logicalType": "decimal", "precision": 4, "scale": 2}')
+    const plainBuf = await encoder.encode('test-value', Buffer.from([1]), plain)
+    const decimalBuf = await encoder.encode('test-value', Buffer.from([1]), decimal)
+    assert.strictEqual(plainBuf.readUInt32BE(1), 1)
+    assert.strictEqual(decimalBuf.readUInt32BE(1), 2)
+    assert.deepStrictEqual(schema.parse((await registry.getLatest('test-value')).schema).toJson(), decimal.toJson())
+  })
+
+  it('Caches the parsed latest schemas', async () => {
+    const registry = new confluent.MemoryRegistryClient()
+    await registry.register('test-value', WRITERS_SCHEMA)
+    let reads = 0
+    const countingRegistry = {
+      register: (subject, s) => registry.register(subject, s),
+      getLatest: async (subject) => {
+        const latest = await registry.getLatest(subject)
+        return { id: latest.id, get schema () { reads++; return latest.schema } }
+      }
+    }
+    const encoder = new confluent.ConfluentEncoder(countingRegistry)
+    await encoder.encode('test-value', DATUM)
+    await encoder.encode('test-value', DATUM)
+    assert.strictEqual(reads, 1)
+
+    await registry.register('test-value', schema.parse('"string"'))
+    const buf = await encoder.encode('test-value', 'latest')
+    assert.strictEqual(buf.readUInt32BE(1), 2)
+  })
+
+  it('Does not cache failed lookups', async () => {
+    const registry = new confluent.MemoryRegistryClient()
+    const decoder = new confluent.ConfluentDecoder(registry)
+    const buf = Buffer.from([0, 0, 0, 0, 1, 84, 12, 97, 110, 115, 119, 101, 114])
+    await assert.rejects(() => decoder.decode(buf), /Schema not found for id: 1/)
+    await registry.register('test-value', WRITERS_SCHEMA)
+    assert.deepStrictEqual(await decoder.decode(buf), DATUM)
+  })
+
+  it('Rejects an invalid magic byte', async () => {
+    const decoder = new confluent.ConfluentDecoder(new confluent.MemoryRegistryClient())
+    await assert.rejects(() => decoder.decode(Buffer.from([1, 0, 0, 0, 1, 0])), /invalid magic byte/)
+    await assert.rejects(() => decoder.decode(Buffer.from([0, 0])), /invalid magic byte/)
+  })
+
+  it('Rejects registry clients missing methods', () => {
+    assert.throws(() => new confluent.ConfluentEncoder({}))
+    assert.throws(() => new confluent.ConfluentDecoder({}))
+  })
+})
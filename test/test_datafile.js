@@ -0,0 +1,376 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const { Writable } = require('stream')
+const datafile = require('../src/datafile')
+const errors = require('../src/errors')
+const schema = require('../src/schema')
+const io = require('../src/io')
+const Tap = require('../src/tap')
+const utils = require('../src/utils')
+
+const RECORD_SCHEMA = schema.parse(`
+  {"type": "record",
+   "name": "Test",
+   "fields": [{"name": "id", "type": "long"},
+              {"name": "label", "type": "string"}]}`)
+
+const RECORDS = [
+  { id: 1, label: 'one' },
+  { id: 2, label: 'two' },
+  { id: 3, label: 'three' }
+]
+
+async function writeDatum (datum, writersSchema) {
+  const buffer = Buffer.alloc(1024)
+  const tap = new Tap(buffer)
+  const datumWriter = new io.DatumWriter(writersSchema)
+  await datumWriter.write(datum, tap)
+  return buffer.subarray(0, tap.pos)
+}
+
+/**
+ * Build a container file by hand, one block per entry in `blocks`.
+ */
+async function buildDataFile (writersSchema, blocks, options = {}) {
+  const sync = options.sync || crypto.randomBytes(datafile.SYNC_SIZE)
+  const meta = { 'avro.schema': Buffer.from(writersSchema.toString()) }
+  if (options.codec !== undefined) {
+    meta['avro.codec'] = Buffer.from(options.codec)
+  }
+  const parts = [await writeDatum({ magic: options.magic || datafile.MAGIC, meta, sync }, datafile.META_SCHEMA)]
+
+  for (const records of blocks) {
+    const data = Buffer.concat(await Promise.all(records.map(r => writeDatum(r, writersSchema))))
+    const tap = new Tap(Buffer.alloc(32))
+    tap.writeLong(records.length)
+    tap.writeLong(data.length)
+    parts.push(tap.buf.subarray(0, tap.pos), data, options.blockSync || sync)
+  }
+
+  return Buffer.concat(parts)
+}
+
+function makeCollector () {
+  return {
+    chunks: [],
+    ended: false,
+    write (buf) {
+      this.chunks.push(Buffer.from(buf))
+    },
+    end () {
+      this.ended = true
+    },
+    get buffer () {
+      return Buffer.concat(this.chunks)
+    }
+  }
+}
+
+async function readAll (reader) {
+  const records = []
+  for await (const record of reader) {
+    records.push(record)
+  }
+  return records
+}
+
+describe('Data file', () => {
+  describe('DataFileReader', () => {
+    it('Reads records from every block', async () => {
+      const buf = await buildDataFile(RECORD_SCHEMA, [RECORDS.slice(0, 2), RECORDS.slice(2)])
+      const reader = new datafile.DataFileReader(buf, new io.DatumReader())
+      assert.deepStrictEqual(await readAll(reader), RECORDS)
+    })
+
+    it('Yields records block by block', async () => {
+      const buf = await buildDataFile(RECORD_SCHEMA, [RECORDS.slice(0, 2), RECORDS.slice(2)])
+      const reader = new datafile.DataFileReader(buf, new io.DatumReader())
+      const blocks = []
+      for await (const records of reader.blocks()) {
+        blocks.push(records)
+      }
+      assert.deepStrictEqual(blocks, [RECORDS.slice(0, 2), RECORDS.slice(2)])
+    })
+
+    it('Exposes the header metadata', async () => {
+      const buf = await buildDataFile(RECORD_SCHEMA, [], { codec: 'null' })
+      const reader = new datafile.DataFileReader(buf)
+      await reader.readHeader()
+      assert.strictEqual(reader.codec, 'null')
+      assert.strictEqual(reader.getMeta('avro.schema'), RECORD_SCHEMA.toString())
+      assert(reader.writersSchema.equals(RECORD_SCHEMA))
+      assert.deepStrictEqual(await readAll(reader), [])
+    })
+
+    it('Resolves records against the reader\'s schema', async () => {
+      const readersSchema = schema.parse(`
+        {"type": "record",
+         "name": "Test",
+         "fields": [{"name": "label", "type": "string"},
+                    {"name": "flag", "type": "boolean", "default": true}]}`)
+      const buf = await buildDataFile(RECORD_SCHEMA, [RECORDS])
+      const reader = new datafile.DataFileReader(buf, new io.DatumReader(undefined, readersSchema))
+      const records = await readAll(reader)
+      assert.deepStrictEqual(records, RECORDS.map(r => ({ label: r.label, flag: true })))
+    })
+
+    it('Rejects invalid magic bytes', async () => {
+      const buf = await buildDataFile(RECORD_SCHEMA, [RECORDS], { magic: Buffer.from('Obj\x02', 'latin1') })
+      const reader = new datafile.DataFileReader(buf)
+      await assert.rejects(() => readAll(reader), err => err instanceof errors.CorruptDataError && /magic/.test(err.message) && err.offset === 0)
+    })
+
+    it('Rejects unknown codecs', async () => {
+      const buf = await buildDataFile(RECORD_SCHEMA, [RECORDS], { codec: 'lzma' })
+      const reader = new datafile.DataFileReader(buf)
+      await assert.rejects(() => reader.readHeader(), /Unknown codec: lzma/)
+    })
+
+    it('Rejects a sync marker mismatch', async () => {
+      const buf = await buildDataFile(RECORD_SCHEMA, [RECORDS], { blockSync: Buffer.alloc(datafile.SYNC_SIZE) })
+      const reader = new datafile.DataFileReader(buf)
+      await assert.rejects(() => readAll(reader), err => err instanceof errors.CorruptDataError && /Sync marker mismatch/.test(err.message))
+    })
+
+    it('Rejects a corrupt snappy block', async () => {
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(RECORD_SCHEMA), { codec: 'snappy' })
+      for (const record of RECORDS) {
+        await writer.append(record)
+      }
+      await writer.close()
+
+      const buf = collector.buffer
+      // Last byte of the checksum, before the sync marker
+      buf[buf.length - datafile.SYNC_SIZE - 1] ^= 0xff
+      await assert.rejects(() => readAll(new datafile.DataFileReader(buf)), errors.CorruptDataError)
+    })
+
+    it('Rejects a truncated block', async () => {
+      const buf = await buildDataFile(RECORD_SCHEMA, [RECORDS])
+      const reader = new datafile.DataFileReader(buf.subarray(0, buf.length - 4))
+      await assert.rejects(() => readAll(reader), /Truncated data block/)
+    })
+  })
+
+  describe('DataFileWriter', () => {
+    it('Round trips records through the reader', async () => {
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(RECORD_SCHEMA))
+      for (const record of RECORDS) {
+        await writer.append(record)
+      }
+      await writer.close()
+
+      assert(collector.ended)
+      assert(collector.buffer.subarray(0, 4).equals(datafile.MAGIC))
+      const reader = new datafile.DataFileReader(collector.buffer, new io.DatumReader())
+      assert.deepStrictEqual(await readAll(reader), RECORDS)
+      assert.strictEqual(reader.codec, 'null')
+      assert(reader.syncMarker.equals(writer.syncMarker))
+    })
+
+    it('Writes a header for an empty file', async () => {
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(RECORD_SCHEMA))
+      await writer.close()
+
+      const reader = new datafile.DataFileReader(collector.buffer)
+      assert.deepStrictEqual(await readAll(reader), [])
+      assert(reader.writersSchema.equals(RECORD_SCHEMA))
+    })
+
+    it('Flushes a block every blockSize records', async () => {
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(RECORD_SCHEMA), { blockSize: 2 })
+      for (const record of RECORDS) {
+        await writer.append(record)
+      }
+      await writer.close()
+
+      const reader = new datafile.DataFileReader(collector.buffer)
+      const blocks = []
+      for await (const records of reader.blocks()) {
+        blocks.push(records)
+      }
+      assert.deepStrictEqual(blocks, [RECORDS.slice(0, 2), RECORDS.slice(2)])
+    })
+
+    it('Flushes a block once it reaches the sync interval', async () => {
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(RECORD_SCHEMA), { syncInterval: 1 })
+      for (const record of RECORDS) {
+        await writer.append(record)
+      }
+      await writer.close()
+
+      const reader = new datafile.DataFileReader(collector.buffer)
+      let blockCount = 0
+      for await (const records of reader.blocks()) {
+        assert.strictEqual(records.length, 1)
+        blockCount++
+      }
+      assert.strictEqual(blockCount, RECORDS.length)
+    })
+
+    it('Grows the block buffer for large records', async () => {
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(RECORD_SCHEMA))
+      const records = [{ id: 1, label: 'x'.repeat(5000) }, { id: 2, label: 'y'.repeat(3000) }]
+      for (const record of records) {
+        await writer.append(record)
+      }
+      await writer.close()
+
+      const reader = new datafile.DataFileReader(collector.buffer)
+      assert.deepStrictEqual(await readAll(reader), records)
+    })
+
+    it('Waits for streams to drain', async () => {
+      const chunks = []
+      const stream = new Writable({
+        highWaterMark: 1,
+        write (chunk, encoding, callback) {
+          chunks.push(chunk)
+          setImmediate(callback)
+        }
+      })
+      const writer = new datafile.DataFileWriter(stream, new io.DatumWriter(RECORD_SCHEMA), { blockSize: 1 })
+      for (const record of RECORDS) {
+        await writer.append(record)
+        assert.strictEqual(stream.writableLength, 0)
+      }
+      await writer.close()
+
+      const reader = new datafile.DataFileReader(Buffer.concat(chunks))
+      assert.deepStrictEqual(await readAll(reader), RECORDS)
+    })
+
+    it('Waits for streams to finish', async () => {
+      const chunks = []
+      const stream = new Writable({
+        write (chunk, encoding, callback) {
+          setImmediate(() => {
+            chunks.push(chunk)
+            callback()
+          })
+        }
+      })
+      let finished = false
+      stream.on('finish', () => { finished = true })
+      const writer = new datafile.DataFileWriter(stream, new io.DatumWriter(RECORD_SCHEMA))
+      for (const record of RECORDS) {
+        await writer.append(record)
+      }
+      await writer.close()
+
+      assert(finished)
+      const reader = new datafile.DataFileReader(Buffer.concat(chunks))
+      assert.deepStrictEqual(await readAll(reader), RECORDS)
+    })
+
+    it('Writes user metadata', async () => {
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(RECORD_SCHEMA), {
+        metadata: { 'user.origin': 'test', 'user.raw': Buffer.from([1, 2]) }
+      })
+      await writer.close()
+
+      const reader = new datafile.DataFileReader(collector.buffer)
+      await reader.readHeader()
+      assert.strictEqual(reader.getMeta('user.origin'), 'test')
+      assert.deepStrictEqual(reader.meta['user.raw'], Buffer.from([1, 2]))
+    })
+
+    for (const codec of ['null', 'deflate', 'snappy']) {
+      it(`Round trips records with the ${codec} codec`, async () => {
+        const collector = makeCollector()
+        const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(RECORD_SCHEMA), { codec, blockSize: 2 })
+        const records = RECORDS.concat(RECORDS, RECORDS)
+        for (const record of records) {
+          await writer.append(record)
+        }
+        await writer.close()
+
+        const reader = new datafile.DataFileReader(collector.buffer)
+        assert.deepStrictEqual(await readAll(reader), records)
+        assert.strictEqual(reader.codec, codec)
+      })
+    }
+
+    it('Rejects reserved metadata keys', () => {
+      assert.throws(() => new datafile.DataFileWriter(makeCollector(), new io.DatumWriter(RECORD_SCHEMA), {
+        metadata: { 'avro.codec': 'deflate' }
+      }), /reserved/)
+    })
+
+    it('Rejects unknown codecs', () => {
+      assert.throws(() => new datafile.DataFileWriter(makeCollector(), new io.DatumWriter(RECORD_SCHEMA), {
+        codec: 'lzma'
+      }), /Unknown codec: lzma/)
+    })
+
+    it('Rejects invalid records', async () => {
+      const writer = new datafile.DataFileWriter(makeCollector(), new io.DatumWriter(RECORD_SCHEMA))
+      await assert.rejects(() => writer.append({ id: 'one', label: 'one' }))
+    })
+
+    it('Drops the bytes of a datum failing partway through', async () => {
+      const writersSchema = schema.parse(`
+        {"type": "record",
+         "name": "Pair",
+         "fields": [{"name": "a", "type": "string"},
+                    {"name": "b", "type": ["null", {"type": "string", "logicalType": "checked"}], "default": null}]}`)
+      const options = {
+        logicalTypes: {
+          checked: {
+            toValue: async (value) => {
+              if (value === 'bad') {
+                throw new Error('Bad value')
+              }
+              return value
+            },
+            validateBeforeToValue: (value) => utils.isString(value)
+          }
+        }
+      }
+
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(writersSchema, options))
+      await writer.append({ a: 'x', b: null })
+      await assert.rejects(() => writer.append({ a: 'yyyyyy', b: 'bad' }), errors.LogicalTypeError)
+      await writer.append({ a: 'z', b: null })
+      await writer.close()
+
+      const reader = new datafile.DataFileReader(collector.buffer)
+      assert.deepStrictEqual(await readAll(reader), [{ a: 'x', b: null }, { a: 'z', b: null }])
+    })
+
+    it('Writes async logical types', async () => {
+      const writersSchema = schema.parse(`
+        {"type": "record",
+         "name": "Secret",
+         "fields": [{"name": "value", "type": {"type": "string", "logicalType": "reversed"}}]}`)
+      const options = {
+        logicalTypes: {
+          reversed: {
+            toValue: async (value) => value.split('').reverse().join(''),
+            validateBeforeToValue: (value) => utils.isString(value),
+            fromValue: async (value) => value.split('').reverse().join(''),
+            validateBeforeFromValue: (value) => utils.isString(value)
+          }
+        }
+      }
+
+      const collector = makeCollector()
+      const writer = new datafile.DataFileWriter(collector, new io.DatumWriter(writersSchema, options))
+      await writer.append({ value: 'abc' })
+      await writer.close()
+
+      const rawReader = new datafile.DataFileReader(collector.buffer)
+      assert.deepStrictEqual(await readAll(rawReader), [{ value: 'cba' }])
+      const reader = new datafile.DataFileReader(collector.buffer, new io.DatumReader(undefined, undefined, options))
+      assert.deepStrictEqual(await readAll(reader), [{ value: 'abc' }])
+    })
+  })
+})
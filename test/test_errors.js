@@ -0,0 +1,121 @@
+const assert = require('assert')
+const errors = require('../src/errors')
+const schema = require('../src/schema')
+const io = require('../src/io')
+const compare = require('../src/compare')
+const Tap = require('../src/tap')
+
+async function encode (writersSchema, datum) {
+  const tap = new Tap(Buffer.alloc(1024))
+  await new io.DatumWriter(writersSchema).write(datum, tap)
+  return tap.buf.subarray(0, tap.pos)
+}
+
+describe('Errors', () => {
+  it('Extend AvroError', () => {
+    const err = new errors.SchemaResolutionError('message', { offset: 3 })
+    assert(err instanceof errors.AvroError)
+    assert(err instanceof Error)
+    assert.strictEqual(err.name, 'SchemaResolutionError')
+    assert.strictEqual(err.message, 'message')
+    assert.strictEqual(err.offset, 3)
+  })
+
+  describe('SchemaParseError', () => {
+    it('Invalid JSON', () => {
+      assert.throws(() => schema.parse('{'), err => err instanceof errors.SchemaParseError && err.cause instanceof SyntaxError)
+    })
+
+    it('Invalid nested schema', () => {
+      assert.throws(() => schema.parse('{"type": "array", "items": {"type": "fixed", "name": "F"}}'), err => {
+        assert(err instanceof errors.SchemaParseError)
+        assert(err.cause instanceof errors.SchemaParseError)
+        return true
+      })
+    })
+
+    it('Invalid default value', () => {
+      assert.throws(() => schema.parse('{"type": "record", "name": "R", "fields": [{"name": "f", "type": "int", "default": "x"}]}'),
+        { name: 'SchemaParseError', path: 'R.f' })
+    })
+  })
+
+  describe('AvroTypeError', () => {
+    const s = schema.parse('{"type": "record", "name": "R", "fields": [{"name": "f", "type": "int"}]}')
+
+    it('Invalid datum', async () => {
+      const datum = { f: 'x' }
+      await assert.rejects(() => encode(s, datum), err => {
+        assert(err instanceof errors.AvroTypeError)
+        assert.strictEqual(err.writersSchema, s)
+        assert.strictEqual(err.value, datum)
+        assert.strictEqual(err.path, 'f')
+        assert.strictEqual(err.errors.length, 1)
+        return true
+      })
+    })
+
+    it('Invalid JSON encoding', async () => {
+      await assert.rejects(() => new io.DatumReader(s).readJson('{"f": "x"}'), { name: 'AvroTypeError', value: 'x' })
+      await assert.rejects(() => new io.DatumReader(s).readJson('{'), err => err instanceof errors.AvroTypeError && err.cause instanceof SyntaxError)
+    })
+  })
+
+  describe('SchemaResolutionError', () => {
+    it('Schemas which do not match', async () => {
+      const writersSchema = schema.parse('["null", "string"]')
+      const readersSchema = schema.parse('"int"')
+      const buf = await encode(writersSchema, 'a')
+      await assert.rejects(() => new io.DatumReader(writersSchema, readersSchema).read(new Tap(buf)), err => {
+        assert(err instanceof errors.SchemaResolutionError)
+        assert.strictEqual(err.writersSchema, writersSchema.schemas[1])
+        assert.strictEqual(err.readersSchema, readersSchema)
+        assert.strictEqual(err.offset, 1)
+        return true
+      })
+    })
+
+    it('Invalid union branch', async () => {
+      const s = schema.parse('["null", "string"]')
+      await assert.rejects(() => new io.DatumReader(s).read(new Tap(Buffer.from([0x04]))), { name: 'SchemaResolutionError', offset: 1 })
+    })
+  })
+
+  describe('LogicalTypeError', () => {
+    const s = schema.parse('{"type": "string", "logicalType": "failing"}')
+    const cause = new Error('Failure')
+
+    it('Validation failures are not swallowed', () => {
+      const options = { logicalTypes: { failing: { validateBeforeToValue: () => { throw cause } } } }
+      assert.throws(() => io.validate(s, 'a', options), err => {
+        assert(err instanceof errors.LogicalTypeError)
+        assert.strictEqual(err.logicalType, 'failing')
+        assert.strictEqual(err.cause, cause)
+        return true
+      })
+    })
+
+    it('Conversion failures', async () => {
+      const options = {
+        logicalTypes: {
+          failing: {
+            validateBeforeToValue: () => true,
+            toValue: () => { throw cause },
+            validateBeforeFromValue: () => true,
+            fromValue: async () => { throw cause }
+          }
+        }
+      }
+      const tap = new Tap(Buffer.alloc(16))
+      await assert.rejects(() => new io.DatumWriter(s, options).write('a', tap), { name: 'LogicalTypeError', cause })
+      await new io.DatumWriter(s).write('a', tap)
+      await assert.rejects(() => new io.DatumReader(s, s, options).read(new Tap(tap.buf)), { name: 'LogicalTypeError', cause })
+    })
+  })
+
+  it('TruncatedDataError', async () => {
+    const s = schema.parse('"string"')
+    const buf = await encode(s, 'abc')
+    assert.throws(() => compare.compareBuffers(s, buf, buf.subarray(0, 2)), { name: 'TruncatedDataError', offset: 2 })
+  })
+})
@@ -0,0 +1,66 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const fingerprint = require('../src/fingerprint')
+const schema = require('../src/schema')
+
+// Values from the CRC-64-AVRO test cases of the Avro specification.
+const CRC64_EXAMPLES = [
+  ['"null"', '7195948357588979594'],
+  ['"boolean"', '-6970731678124411036'],
+  ['"int"', '8247732601305521295'],
+  ['"long"', '-3434872931120570953'],
+  ['"float"', '5583340709985441680'],
+  ['"double"', '-8181574048448539266'],
+  ['"bytes"', '5746618253357095269'],
+  ['"string"', '-8142146995180207161']
+]
+
+describe('Fingerprint', () => {
+  describe('CRC-64-AVRO', () => {
+    for (const [exampleSchema, expected] of CRC64_EXAMPLES) {
+      it(exampleSchema, () => {
+        const fp = fingerprint.fingerprint64(schema.parse(exampleSchema))
+        assert.strictEqual(fp.length, 8)
+        assert.strictEqual(fp.readBigInt64LE(0).toString(), expected)
+      })
+    }
+  })
+
+  describe('MD5 and SHA-256', () => {
+    const recordSchema = schema.parse('{"type": "record", "name": "T", "fields": [{"name": "f", "type": "int"}]}')
+    const canonicalForm = '{"name":"T","type":"record","fields":[{"name":"f","type":"int"}]}'
+
+    it('MD5', () => {
+      const expected = crypto.createHash('md5').update(canonicalForm).digest()
+      assert.deepStrictEqual(fingerprint.fingerprint(recordSchema, 'MD5'), expected)
+      assert.deepStrictEqual(recordSchema.fingerprint('MD5'), expected)
+    })
+
+    it('SHA-256', () => {
+      const expected = crypto.createHash('sha256').update(canonicalForm).digest()
+      assert.deepStrictEqual(fingerprint.fingerprint(recordSchema, 'SHA-256'), expected)
+      assert.deepStrictEqual(recordSchema.fingerprint('SHA-256'), expected)
+    })
+
+    it('MD5 of a primitive', () => {
+      assert.strictEqual(fingerprint.fingerprint(schema.parse('"int"'), 'MD5').toString('hex'), 'ef524ea1b91e73173d938ade36c1db32')
+    })
+  })
+
+  it('Defaults to CRC-64-AVRO', () => {
+    const intSchema = schema.parse('"int"')
+    assert.deepStrictEqual(intSchema.fingerprint(), fingerprint.fingerprint64(intSchema))
+  })
+
+  it('Rejects unknown algorithms', () => {
+    assert.throws(() => fingerprint.fingerprint(schema.parse('"int"'), 'SHA-1'), /Unknown fingerprint algorithm: SHA-1/)
+  })
+
+  it('Ignores attributes outside of the Parsing Canonical Form', () => {
+    const plain = schema.parse('{"type": "record", "name": "a.T", "fields": [{"name": "f", "type": "int"}]}')
+    const documented = schema.parse(`
+      {"type": "record", "name": "T", "namespace": "a", "doc": "A record",
+       "fields": [{"name": "f", "type": {"type": "int"}, "doc": "A field", "default": 1}]}`)
+    assert.deepStrictEqual(fingerprint.fingerprint64(plain), fingerprint.fingerprint64(documented))
+  })
+})
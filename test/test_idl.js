@@ -0,0 +1,222 @@
+const assert = require('assert')
+const path = require('path')
+const idl = require('../src/idl')
+
+const SIMPLE_IDL = `
+/**
+ * A simple protocol.
+ */
+@namespace("org.example")
+protocol Simple {
+  /** A kind of record. */
+  @aliases(["org.old.Kind"])
+  enum Kind {
+    FOO,
+    BAR, // the bar symbol
+    BAZ
+  } = FOO;
+
+  fixed MD5(16);
+
+  record TestRecord {
+    /** The name. */
+    string @order("ignore") name = "foo";
+    Kind kind;
+    union { MD5, null } hash;
+    array<long> longs = [];
+    map<array<string>> tags;
+    @logicalType("encrypted") string secret;
+    int a = 1, \`b\` = 2;
+  }
+
+  error TestError {
+    string message;
+  }
+
+  /** Say hello. */
+  string hello(string greeting, int count = 1);
+  TestRecord echo(TestRecord \`record\`);
+  void fail() throws TestError;
+  void ping() oneway;
+}
+`
+
+function importsFrom (files) {
+  const requested = []
+  const importHook = async (filePath, importType) => {
+    requested.push([filePath, importType])
+    if (files[filePath] === undefined) {
+      throw new Error(`No such file: ${filePath}`)
+    }
+    return files[filePath]
+  }
+  return { requested, importHook }
+}
+
+describe('IDL', () => {
+  describe('toJson', () => {
+    it('Protocol attributes', async () => {
+      const json = await idl.toJson(SIMPLE_IDL)
+      assert.strictEqual(json.protocol, 'Simple')
+      assert.strictEqual(json.namespace, 'org.example')
+      assert.strictEqual(json.doc, 'A simple protocol.')
+    })
+
+    it('Named types', async () => {
+      const json = await idl.toJson(SIMPLE_IDL)
+      assert.deepStrictEqual(json.types[0], {
+        type: 'enum',
+        name: 'Kind',
+        aliases: ['org.old.Kind'],
+        symbols: ['FOO', 'BAR', 'BAZ'],
+        default: 'FOO',
+        doc: 'A kind of record.'
+      })
+      assert.deepStrictEqual(json.types[1], { type: 'fixed', name: 'MD5', size: 16 })
+      assert.deepStrictEqual(json.types[3], { type: 'error', name: 'TestError', fields: [{ name: 'message', type: 'string' }] })
+    })
+
+    it('Record fields', async () => {
+      const json = await idl.toJson(SIMPLE_IDL)
+      assert.deepStrictEqual(json.types[2].fields, [
+        { name: 'name', type: 'string', doc: 'The name.', default: 'foo', order: 'ignore' },
+        { name: 'kind', type: 'Kind' },
+        { name: 'hash', type: ['MD5', 'null'] },
+        { name: 'longs', type: { type: 'array', items: 'long' }, default: [] },
+        { name: 'tags', type: { type: 'map', values: { type: 'array', items: 'string' } } },
+        { name: 'secret', type: { type: 'string', logicalType: 'encrypted' } },
+        { name: 'a', type: 'int', default: 1 },
+        { name: 'b', type: 'int', default: 2 }
+      ])
+    })
+
+    it('Messages', async () => {
+      const json = await idl.toJson(SIMPLE_IDL)
+      assert.deepStrictEqual(json.messages, {
+        hello: {
+          doc: 'Say hello.',
+          request: [{ name: 'greeting', type: 'string' }, { name: 'count', type: 'int', default: 1 }],
+          response: 'string'
+        },
+        echo: { request: [{ name: 'record', type: 'TestRecord' }], response: 'TestRecord' },
+        fail: { request: [], response: 'null', errors: ['TestError'] },
+        ping: { request: [], response: 'null', 'one-way': true }
+      })
+    })
+
+    it('Nullable shorthand', async () => {
+      const json = await idl.toJson('protocol P { record R { string? a; string? b = null; string? c = "c"; } }')
+      assert.deepStrictEqual(json.types[0].fields.map(f => f.type), [['null', 'string'], ['null', 'string'], ['string', 'null']])
+      const messageJson = await idl.toJson('protocol P { void m(string? a = "a", array<int?> b = []); }')
+      assert.deepStrictEqual(messageJson.messages.m.request.map(p => p.type), [['string', 'null'], { type: 'array', items: ['null', 'int'] }])
+    })
+
+    it('Logical type aliases', async () => {
+      const json = await idl.toJson('protocol P { record R { date a; time_ms b; timestamp_ms c; uuid d; decimal(9, 2) e; } }')
+      assert.deepStrictEqual(json.types[0].fields.map(f => f.type), [
+        { type: 'int', logicalType: 'date' },
+        { type: 'int', logicalType: 'time-millis' },
+        { type: 'long', logicalType: 'timestamp-millis' },
+        { type: 'string', logicalType: 'uuid' },
+        { type: 'bytes', logicalType: 'decimal', precision: 9, scale: 2 }
+      ])
+    })
+
+    it('Imports', async () => {
+      const base = path.resolve('/schemas')
+      const { requested, importHook } = importsFrom({
+        [path.join(base, 'common.avdl')]: `
+          @namespace("org.common") protocol Common {
+            import schema "nested/id.avsc";
+            record Meta { string source; }
+            void log(Meta meta);
+          }`,
+        [path.join(base, 'nested/id.avsc')]: '{"type": "fixed", "name": "org.common.Id", "size": 8}',
+        [path.join(base, 'other.avpr')]: JSON.stringify({
+          protocol: 'Other',
+          namespace: 'org.other',
+          types: [{ type: 'enum', name: 'Color', symbols: ['RED'] }],
+          messages: { color: { request: [], response: 'Color' } }
+        })
+      })
+
+      const json = await idl.toJson(`
+        @namespace("org.example") protocol P {
+          import idl "common.avdl";
+          import protocol "other.avpr";
+          import idl "common.avdl";
+          record R { org.common.Meta meta; org.common.Id id; org.other.Color color; }
+        }`, { basePath: base, importHook })
+
+      assert.deepStrictEqual(requested, [
+        [path.join(base, 'common.avdl'), 'idl'],
+        [path.join(base, 'nested/id.avsc'), 'schema'],
+        [path.join(base, 'other.avpr'), 'protocol']
+      ])
+      assert.deepStrictEqual(json.types.map(t => [t.namespace, t.name]), [
+        [undefined, 'org.common.Id'],
+        ['org.common', 'Meta'],
+        ['org.other', 'Color'],
+        [undefined, 'R']
+      ])
+      assert.deepStrictEqual(Object.keys(json.messages), ['log', 'color'])
+    })
+  })
+
+  describe('parse', () => {
+    it('Builds schema objects', async () => {
+      const protocol = await idl.parse(SIMPLE_IDL)
+      assert.strictEqual(protocol.name, 'Simple')
+      assert.strictEqual(protocol.namespace, 'org.example')
+      assert.deepStrictEqual(protocol.types.map(t => [t.type, t.fullname]), [
+        ['enum', 'org.example.Kind'],
+        ['fixed', 'org.example.MD5'],
+        ['record', 'org.example.TestRecord'],
+        ['error', 'org.example.TestError']
+      ])
+
+      const record = protocol.types[2]
+      assert.strictEqual(record.fieldsDict.kind.type, protocol.types[0])
+      assert.strictEqual(record.fieldsDict.hash.type.schemas[0], protocol.types[1])
+      assert.strictEqual(record.fieldsDict.name.order, 'ignore')
+      assert.strictEqual(record.fieldsDict.secret.type.logicalType, 'encrypted')
+      assert.strictEqual(protocol.messages.echo.response, record)
+      assert.strictEqual(protocol.messages.fail.errors.schemas[1], protocol.types[3])
+      assert.strictEqual(protocol.messages.ping.oneWay, true)
+    })
+
+    it('Rejects references to unknown types', async () => {
+      await assert.rejects(() => idl.parse('protocol P { record R { Missing m; } }'), /Missing/)
+    })
+  })
+
+  describe('Syntax errors', () => {
+    const INVALID_IDLS = [
+      ['record R { int a; }', /line 1, column 1: Expected "protocol"/],
+      ['protocol P {\n record R { int a }\n}', /line 2, column 19: Expected ";"/],
+      ['protocol P { fixed F(a); }', /Expected the size/],
+      ['protocol P { import foo "a"; }', /Unknown import type/],
+      ['protocol P { record R { int a; }', /Unexpected end of input/],
+      ['protocol P { } }', /Unexpected "}" after the protocol/],
+      ['protocol P { /* open comment }', /Unterminated comment/],
+      ['protocol P { record R { int a = #; } }', /Unexpected character "#"/],
+      ['protocol P { record R { @foo(1) @foo(2) int a; } }', /Duplicate property foo/],
+      ['protocol P { record R { @foo(1) R a; } }', /Properties cannot be set on a reference/],
+      ['protocol P { record R { decimal(a, 2) d; } }', /Expected the precision of the decimal type but found "a"/],
+      ['protocol P { record R { decimal(9.5, 2) d; } }', /Expected the precision of the decimal type but found 9.5/],
+      ['protocol P { record R { decimal(9, -1) d; } }', /Expected the scale of the decimal type but found -1/],
+      ['protocol P { record R { decimal(9, 12) d; } }', /column 36: The scale 12 of the decimal type is greater than its precision 9/]
+    ]
+
+    for (const [text, error] of INVALID_IDLS) {
+      it(JSON.stringify(text), async () => {
+        await assert.rejects(() => idl.toJson(text), error)
+      })
+    }
+
+    it('Are SchemaParseErrors with the position', async () => {
+      await assert.rejects(() => idl.toJson('protocol P {\n  record R { int a = #; }\n}'),
+        { name: 'SchemaParseError', line: 2, column: 22 })
+    })
+  })
+})
@@ -1,6 +1,7 @@
 const io = require('../src/io')
 const Tap = require('../src/tap')
 const schema = require('../src/schema')
+const errors = require('../src/errors')
 const assert = require('assert')
 
 const SCHEMAS_TO_VALIDATE = [
@@ -36,6 +37,31 @@ const SCHEMAS_TO_VALIDATE = [
   ]
 ]
 
+// Numbers failing strict validation, with the error writing them
+const STRICT_INVALID_NUMBERS = [
+  ['int', 1.5, 'datum: 1.5 is not an integer.'],
+  ['int', 2147483648, 'datum: 2147483648 is out of the range of ints.'],
+  ['long', -0.5, 'datum: -0.5 is not an integer.'],
+  ['long', Math.pow(2, 53), 'datum: 9007199254740992 cannot be represented exactly, use a long mode other than number.'],
+  ['float', 3.5e38, 'datum: 3.5e+38 overflows a 32-bit float.'],
+  ['float', -1e39, 'datum: -1e+39 overflows a 32-bit float.']
+]
+
+// Schemas with encodings rejected by safe decoding, and the expected error
+const UNSAFE_ENCODINGS = [
+  ['"string"', [0x06, 0x61], errors.TruncatedDataError, 1],
+  ['"bytes"', [0x01], errors.CorruptDataError, 0],
+  ['"double"', [0x00, 0x00], errors.TruncatedDataError, 0],
+  ['"boolean"', [0x02], errors.CorruptDataError, 0],
+  ['"int"', [0xff, 0xff, 0xff, 0xff, 0x1f], errors.CorruptDataError, 0],
+  ['"int"', [0x80], errors.TruncatedDataError, 0],
+  ['"long"', [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x02], errors.CorruptDataError, 0],
+  ['{"type": "fixed", "name": "F", "size": 3}', [0x00, 0x00], errors.TruncatedDataError, 0],
+  ['{"type": "array", "items": "int"}', [0x03, 0x01, 0x02], errors.CorruptDataError, 1],
+  ['{"type": "array", "items": "int"}', [0x02, 0x02], errors.TruncatedDataError, 2],
+  ['{"type": "map", "values": "int"}', [0x02, 0x08, 0x61, 0x02], errors.TruncatedDataError, 2]
+]
+
 const BINARY_ENCODINGS = [
   [0, '00'],
   [-1, '01'],
@@ -52,12 +78,14 @@ const DEFAULT_VALUE_EXAMPLES = [
   ['"null"', 'null', null],
   ['"boolean"', 'true', true],
   ['"string"', '"foo"', 'foo'],
-  ['"bytes"', '"\u00FF\u00FF"', Buffer.from('\xff\xff')],
+  ['"bytes"', '"\u00FF\u00FF"', Buffer.from([0xff, 0xff])],
   ['"int"', '5', 5],
   ['"long"', '5', 5],
   ['"float"', '1.1', 1.1],
   ['"double"', '1.1', 1.1],
-  ['{"type": "fixed", "name": "F", "size": 2}', '"\u00FF\u00FF"', Buffer.from('\xff\xff')],
+  ['"double"', '"NaN"', NaN],
+  ['"float"', '"-Infinity"', -Infinity],
+  ['{"type": "fixed", "name": "F", "size": 2}', '"\u00FF\u00FF"', Buffer.from([0xff, 0xff])],
   ['{"type": "enum", "name": "F", "symbols": ["FOO", "BAR"]}', '"FOO"', 'FOO'],
   ['{"type": "array", "items": "int"}', '[1, 2, 3]', [1, 2, 3]],
   ['{"type": "map", "values": "int"}', '{"a": 1, "b": 2}', { a: 1, b: 2 }],
@@ -65,6 +93,25 @@ const DEFAULT_VALUE_EXAMPLES = [
   ['{"type": "record", "name": "F", "fields": [{"name": "A", "type": "int"}]}', '{"A": 5}', { A: 5 }]
 ]
 
+const JSON_ENCODINGS = [
+  ['"null"', null, 'null'],
+  ['"boolean"', true, 'true'],
+  ['"string"', 'foo', '"foo"'],
+  ['"bytes"', Buffer.from([0x00, 0x41, 0xff]), '"\\u0000A\u00ff"'],
+  ['"int"', 5, '5'],
+  ['"double"', 1.5, '1.5'],
+  ['"double"', NaN, '"NaN"'],
+  ['{"type": "fixed", "name": "F", "size": 2}', Buffer.from([0xff, 0x61]), '"\u00ffa"'],
+  ['{"type": "enum", "name": "E", "symbols": ["FOO", "BAR"]}', 'BAR', '"BAR"'],
+  ['{"type": "array", "items": "int"}', [1, 2], '[1,2]'],
+  ['{"type": "map", "values": "int"}', { a: 1 }, '{"a":1}'],
+  ['["null", "string"]', null, 'null'],
+  ['["null", "string"]', 'a', '{"string":"a"}'],
+  ['["null", {"type": "map", "values": "int"}]', { a: 1 }, '{"map":{"a":1}}'],
+  ['["null", {"type": "record", "name": "R", "namespace": "o.a", "fields": [{"name": "f", "type": "int"}]}]', { f: 1 }, '{"o.a.R":{"f":1}}'],
+  ['{"type": "record", "name": "R", "fields": [{"name": "f", "type": ["null", "long"]}]}', { f: 1 }, '{"f":{"long":1}}']
+]
+
 const LONG_RECORD_SCHEMA = schema.parse(`
   {"type": "record",
    "name": "Test",
@@ -97,18 +144,18 @@ function avroHexlify (buffer) {
   return bytes.join(' ')
 }
 
-async function writeDatum (datum, writersSchema) {
+async function writeDatum (datum, writersSchema, options) {
   const buffer = Buffer.alloc(1024)
   const tap = new Tap(buffer)
-  const datumWriter = new io.DatumWriter(writersSchema)
+  const datumWriter = new io.DatumWriter(writersSchema, options)
   await datumWriter.write(datum, tap)
   return [buffer, tap, datumWriter]
 }
 
-async function readDatum (buffer, writersSchema, readersSchema) {
+async function readDatum (buffer, writersSchema, readersSchema, options) {
   const newBuffer = Buffer.from(buffer)
   const tap = new Tap(newBuffer)
-  const datumReader = new io.DatumReader(writersSchema, readersSchema)
+  const datumReader = new io.DatumReader(writersSchema, readersSchema, options)
   return datumReader.read(tap)
 }
 
@@ -162,6 +209,99 @@ describe('IO', () => {
       }
     })
 
+    describe('Strict validation', () => {
+      for (const [exampleSchema, datum] of SCHEMAS_TO_VALIDATE) {
+        it(exampleSchema + ' => ' + JSON.stringify(datum), () => {
+          assert(io.validate(schema.parse(exampleSchema), datum, { strict: true }))
+        })
+      }
+
+      for (const [type, datum, message] of STRICT_INVALID_NUMBERS) {
+        it(`${type} ${datum}`, async () => {
+          const s = schema.parse(`"${type}"`)
+          assert(!io.validate(s, datum, { strict: true }))
+          await assert.rejects(() => writeDatum(datum, s, { strict: true }), { message: `The datum is not an example of the schema ${type}:\n  ${message}` })
+        })
+      }
+
+      it('Allows non-finite floats and doubles', () => {
+        for (const datum of [NaN, Infinity, -Infinity]) {
+          assert(io.validate(schema.parse('"float"'), datum, { strict: true }))
+          assert(io.validate(schema.parse('"double"'), datum, { strict: true }))
+        }
+      })
+
+      it('Names the offending number of nested data', async () => {
+        const s = schema.parse(`
+          {"type": "record", "name": "Test",
+           "fields": [{"name": "a", "type": {"type": "map", "values": "double"}},
+                      {"name": "b", "type": {"type": "array", "items": ["null", "string", "int"]}}]}`)
+        const datum = { a: { x: 1.5 }, b: [null, 'x', 1, 2.5] }
+        const message = 'The datum is not an example of the schema Test:\n  b[3]: 2.5 is not an integer.'
+        await assert.rejects(() => writeDatum(datum, s, { strict: true }), { message })
+        await assert.rejects(() => new io.DatumWriter(s, { strict: true }).writeJson(datum), { message })
+      })
+
+      it('Longs of other long modes', () => {
+        const s = schema.parse('"long"')
+        assert(io.validate(s, BigInt('9223372036854775807'), { strict: true, longMode: 'bigint' }))
+        assert(!io.validate(s, 1, { strict: true, longMode: 'bigint' }))
+      })
+    })
+
+    describe('Validation errors', () => {
+      const s = schema.parse(`
+        {"type": "record", "name": "Order", "namespace": "shop",
+         "fields": [{"name": "id", "type": "long"},
+                    {"name": "items", "type": {"type": "array", "items": {
+                      "type": "record", "name": "Item",
+                      "fields": [{"name": "price", "type": "double"},
+                                 {"name": "tags", "type": {"type": "map", "values": "string"}}]}}},
+                    {"name": "note", "type": ["null", "string"]}]}`)
+
+      it('None for valid data', () => {
+        assert.deepStrictEqual(io.findValidationErrors(s, { id: 1, items: [{ price: 1, tags: {} }], note: null }), [])
+      })
+
+      it('Every failure with its path', () => {
+        const datum = {
+          id: 'x',
+          items: [{ price: 1, tags: {} }, { price: 'free', tags: { a: 'b', c: 3 } }],
+          note: 5,
+          extra: true
+        }
+        assert.deepStrictEqual(io.findValidationErrors(s, datum), [
+          { path: 'id', expected: 'long', value: 'x', message: 'id: "x" is not an instance of long.' },
+          { path: 'items[1].price', expected: 'double', value: 'free', message: 'items[1].price: "free" is not an instance of double.' },
+          { path: 'items[1].tags["c"]', expected: 'string', value: 3, message: 'items[1].tags["c"]: 3 is not an instance of string.' },
+          { path: 'note', expected: 'null | string', value: 5, message: 'note: 5 is not an instance of null | string.' },
+          { path: 'extra', expected: undefined, value: true, message: 'extra: true is not a field of the record.' }
+        ])
+        assert.deepStrictEqual(io.findValidationErrors(s, []).map(e => e.message), ['datum: [] is not an instance of shop.Order.'])
+      })
+
+      it('Thrown by the DatumWriter', async () => {
+        const datum = { id: 1, items: [{ price: null, tags: {} }], note: null }
+        await assert.rejects(() => writeDatum(datum, s), err => {
+          assert.strictEqual(err.message, 'The datum is not an example of the schema shop.Order:\n  items[0].price: null is not an instance of double.')
+          assert.deepStrictEqual(err.errors.map(e => e.path), ['items[0].price'])
+          return true
+        })
+      })
+
+      it('Reported to the error hook', async () => {
+        const paths = []
+        const errorHook = error => paths.push(error.path)
+        const errors = io.findValidationErrors(s, { id: 1, items: [{ price: 1 }], note: true }, { errorHook })
+        assert.deepStrictEqual(paths, ['items[0].tags', 'note'])
+        assert.deepStrictEqual(errors.map(e => e.path), paths)
+
+        paths.length = 0
+        await assert.rejects(() => writeDatum({ id: 1.5, items: [], note: null }, s, { errorHook, strict: true }))
+        assert.deepStrictEqual(paths, ['id'])
+      })
+    })
+
     describe('Round trip', () => {
       for (const [exampleSchema, datum] of SCHEMAS_TO_VALIDATE) {
         it(exampleSchema, async () => {
@@ -197,6 +337,280 @@ describe('IO', () => {
     })
   })
 
+  describe('Long modes', () => {
+    const LONG_SCHEMA = schema.parse('{"type": "array", "items": ["null", "long"]}')
+    const LONG_VALUES = ['-9223372036854775808', '-9007199254740993', '-1', '0', '9007199254740993', '9223372036854775807']
+
+    it('bigint', async () => {
+      const datum = LONG_VALUES.map(BigInt)
+      const [buffer] = await writeDatum(datum, LONG_SCHEMA, { longMode: 'bigint' })
+      assert.deepStrictEqual(await readDatum(buffer, LONG_SCHEMA, undefined, { longMode: 'bigint' }), datum)
+    })
+
+    it('string', async () => {
+      const [buffer] = await writeDatum(LONG_VALUES, LONG_SCHEMA, { longMode: 'string' })
+      assert.deepStrictEqual(await readDatum(buffer, LONG_SCHEMA, undefined, { longMode: 'string' }), LONG_VALUES)
+      // Same encoding as the other modes
+      const [bigintBuffer] = await writeDatum(LONG_VALUES.map(BigInt), LONG_SCHEMA, { longMode: 'bigint' })
+      assert.deepStrictEqual(buffer, bigintBuffer)
+    })
+
+    it('Custom long class', async () => {
+      class Long {
+        constructor (buf) {
+          this.buf = buf
+        }
+
+        static fromBuffer (buf) {
+          return new Long(buf)
+        }
+
+        static toBuffer (value) {
+          return Buffer.from(value.buf)
+        }
+
+        static isValid (value) {
+          return value instanceof Long
+        }
+      }
+
+      const s = schema.parse('"long"')
+      const datum = new Long(Buffer.from([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x7f]))
+      const [buffer] = await writeDatum(datum, s, { longMode: Long })
+      assert.deepStrictEqual(await readDatum(buffer, s, undefined, { longMode: Long }), datum)
+      assert.strictEqual(await readDatum(buffer, s, undefined, { longMode: 'string' }), '9223372036854775807')
+    })
+
+    it('Rejects out of range values', async () => {
+      const s = schema.parse('"long"')
+      await assert.rejects(() => writeDatum(BigInt('9223372036854775808'), s, { longMode: 'bigint' }), /not an example of the schema/)
+      await assert.rejects(() => writeDatum('-9223372036854775809', s, { longMode: 'string' }), /not an example of the schema/)
+      await assert.rejects(() => writeDatum('1.5', s, { longMode: 'string' }), /not an example of the schema/)
+      await assert.rejects(() => writeDatum(5, s, { longMode: 'bigint' }), /not an example of the schema/)
+      await assert.rejects(() => writeDatum(Math.pow(2, 63), s), /not an example of the schema/)
+      assert.throws(() => new io.DatumReader(s, s, { longMode: 'long' }), err => err instanceof errors.AvroTypeError && /Unknown long mode/.test(err.message))
+    })
+
+    it('Rejects unknown schema types', async () => {
+      const bogus = { type: 'bogus' }
+      assert.throws(() => new io.DatumReader(bogus).skipData(bogus, new Tap(Buffer.alloc(1))), err => err instanceof errors.AvroTypeError && err.writersSchema === bogus)
+      await assert.rejects(() => new io.DatumWriter(bogus).writeData(bogus, null, new Tap(Buffer.alloc(1))), errors.AvroTypeError)
+    })
+
+    it('Promotions, defaults and the JSON encoding', async () => {
+      const writersSchema = schema.parse(`
+        {"type": "record", "name": "Test",
+         "fields": [{"name": "a", "type": "int"}, {"name": "b", "type": "long"}]}`)
+      const readersSchema = schema.parse(`
+        {"type": "record", "name": "Test",
+         "fields": [{"name": "a", "type": "long"}, {"name": "b", "type": "double"},
+                    {"name": "c", "type": "long", "default": 3}]}`)
+      const options = { longMode: 'bigint' }
+      const [buffer] = await writeDatum({ a: 1, b: BigInt(2) }, writersSchema, options)
+      assert.deepStrictEqual(await readDatum(buffer, writersSchema, readersSchema, options), { a: BigInt(1), b: 2, c: BigInt(3) })
+
+      const json = await new io.DatumWriter(writersSchema, options).writeJson({ a: 1, b: BigInt(2) })
+      assert.strictEqual(json, '{"a":1,"b":2}')
+      assert.deepStrictEqual(await new io.DatumReader(writersSchema, undefined, options).readJson(json), { a: 1, b: BigInt(2) })
+    })
+
+    it('Rejects inexact longs in the JSON encoding', async () => {
+      const s = schema.parse('{"type": "record", "name": "R", "fields": [{"name": "l", "type": {"type": "array", "items": "long"}}]}')
+      for (const longMode of ['bigint', 'string']) {
+        const toLong = longMode === 'bigint' ? BigInt : String
+        const writer = new io.DatumWriter(s, { longMode })
+        assert.strictEqual(await writer.writeJson({ l: [toLong(Number.MAX_SAFE_INTEGER)] }), `{"l":[${Number.MAX_SAFE_INTEGER}]}`)
+        await assert.rejects(() => writer.writeJson({ l: [toLong('9007199254740993')] }), { name: 'AvroTypeError', value: toLong('9007199254740993') })
+        await assert.rejects(() => new io.DatumReader(s, undefined, { longMode }).readJson('{"l": [9007199254740993]}'),
+          { name: 'AvroTypeError', path: 'l[0]' })
+      }
+      for (const longMode of ['number', 'bigint']) {
+        await assert.rejects(() => new io.DatumReader(s, undefined, { longMode }).readJson('{"l": [1, 1.5]}'),
+          { name: 'AvroTypeError', path: 'l[1]', value: 1.5 })
+      }
+    })
+  })
+
+  describe('Safe decoding', () => {
+    describe('Reads valid data', () => {
+      for (const [exampleSchema, datum] of SCHEMAS_TO_VALIDATE) {
+        it(exampleSchema, async () => {
+          const writersSchema = schema.parse(exampleSchema)
+          const [buffer, tap] = await writeDatum(datum, writersSchema)
+          const options = { safe: true, checkConsumed: true }
+          assert.deepStrictEqual(await readDatum(buffer.subarray(0, tap.pos), writersSchema, undefined, options), datum)
+        })
+      }
+    })
+
+    describe('Rejects invalid data', () => {
+      for (const [exampleSchema, bytes, errorClass, offset] of UNSAFE_ENCODINGS) {
+        it(`${exampleSchema} ${Buffer.from(bytes).toString('hex')}`, async () => {
+          const s = schema.parse(exampleSchema)
+          await assert.rejects(() => readDatum(Buffer.from(bytes), s, undefined, { safe: true }), err => {
+            assert(err instanceof errorClass, err)
+            assert.strictEqual(err.offset, offset)
+            return true
+          })
+        })
+      }
+    })
+
+    it('Checks skipped data', async () => {
+      const writersSchema = schema.parse('{"type": "record", "name": "R", "fields": [{"name": "a", "type": "string"}, {"name": "b", "type": "int"}]}')
+      const readersSchema = schema.parse('{"type": "record", "name": "R", "fields": [{"name": "b", "type": "int"}]}')
+      await assert.rejects(() => readDatum(Buffer.from([0x01, 0x02]), writersSchema, readersSchema, { safe: true }), errors.CorruptDataError)
+      assert.deepStrictEqual(await readDatum(Buffer.from([0x02, 0x61, 0x04]), writersSchema, readersSchema, { safe: true }), { b: 2 })
+    })
+
+    it('Is off by default', async () => {
+      assert.strictEqual(await readDatum(Buffer.from([0x06, 0x61]), schema.parse('"string"')), undefined)
+    })
+
+    it('Checks that the data is consumed', async () => {
+      const s = schema.parse('"int"')
+      assert.strictEqual(await readDatum(Buffer.from([0x02, 0x00]), s), 1)
+      await assert.rejects(() => readDatum(Buffer.from([0x02, 0x00]), s, undefined, { checkConsumed: true }), { name: 'CorruptDataError', offset: 1 })
+    })
+
+    it('Rejects negative branch and symbol indexes', async () => {
+      await assert.rejects(() => readDatum(Buffer.from([0x01]), schema.parse('["null", "int"]')), errors.SchemaResolutionError)
+      await assert.rejects(() => readDatum(Buffer.from([0x01]), schema.parse('{"type": "enum", "name": "E", "symbols": ["A"]}')), errors.SchemaResolutionError)
+    })
+  })
+
+  describe('Decoding limits', () => {
+    const nestedSchema = schema.parse(`{"type": "record", "name": "R", "fields": [
+      {"name": "a", "type": {"type": "array", "items": {"type": "map", "values": "string"}}}
+    ]}`)
+    const nestedDatum = { a: [{ k: 'abc' }, {}] }
+
+    async function encode (writersSchema, datum) {
+      const [buffer, tap] = await writeDatum(datum, writersSchema)
+      return buffer.subarray(0, tap.pos)
+    }
+
+    it('Reads data within the limits', async () => {
+      const buf = await encode(nestedSchema, nestedDatum)
+      const options = { maxItems: 2, maxLength: 3, maxDepth: 3, maxSize: buf.length }
+      assert.deepStrictEqual(await readDatum(buf, nestedSchema, undefined, options), nestedDatum)
+    })
+
+    it('Item limit', async () => {
+      const s = schema.parse('{"type": "array", "items": "null"}')
+      await assert.rejects(async () => readDatum(await encode(s, [null, null, null]), s, undefined, { maxItems: 2 }),
+        { name: 'ItemLimitError', limit: 2, offset: 1 })
+      // Counts are checked before reading the items
+      await assert.rejects(() => readDatum(Buffer.from([0xfe, 0xff, 0xff, 0xff, 0x0f]), s, undefined, { maxItems: 1000 }),
+        errors.ItemLimitError)
+      // Items are counted across blocks
+      const m = schema.parse('{"type": "map", "values": "null"}')
+      await assert.rejects(() => readDatum(Buffer.from([0x02, 0x02, 0x61, 0x02, 0x02, 0x62, 0x00]), m, undefined, { maxItems: 1 }),
+        { name: 'ItemLimitError', offset: 4 })
+    })
+
+    it('Length limit', async () => {
+      const s = schema.parse('"bytes"')
+      await assert.rejects(() => readDatum(Buffer.from([0x08, 0, 0, 0, 0]), s, undefined, { maxLength: 3 }),
+        { name: 'LengthLimitError', limit: 3, offset: 0 })
+      const m = schema.parse('{"type": "map", "values": "null"}')
+      await assert.rejects(async () => readDatum(await encode(m, { abcd: null }), m, undefined, { maxLength: 3 }), errors.LengthLimitError)
+    })
+
+    it('Depth limit', async () => {
+      const buf = await encode(nestedSchema, nestedDatum)
+      await assert.rejects(() => readDatum(buf, nestedSchema, undefined, { maxDepth: 2 }), { name: 'DepthLimitError', limit: 2, offset: 1 })
+      const recursiveSchema = schema.parse('{"type": "record", "name": "L", "fields": [{"name": "next", "type": ["null", "L"]}]}')
+      const recursiveDatum = { next: { next: { next: null } } }
+      await assert.rejects(async () => readDatum(await encode(recursiveSchema, recursiveDatum), recursiveSchema, undefined, { maxDepth: 2 }),
+        errors.DepthLimitError)
+    })
+
+    it('Size limit', async () => {
+      const s = schema.parse('"string"')
+      const buf = await encode(s, 'abcd')
+      assert.strictEqual(await readDatum(buf, s, undefined, { maxSize: 5 }), 'abcd')
+      await assert.rejects(() => readDatum(buf, s, undefined, { maxSize: 4 }), { name: 'SizeLimitError', limit: 4, offset: 0 })
+      await assert.rejects(() => readDatum(buf, s, undefined, { maxSize: 4, safe: true }), { name: 'SizeLimitError', limit: 4, offset: 0 })
+    })
+
+    it('Limits skipped data', async () => {
+      const writersSchema = schema.parse('{"type": "record", "name": "R", "fields": [{"name": "a", "type": {"type": "array", "items": "int"}}]}')
+      const readersSchema = schema.parse('{"type": "record", "name": "R", "fields": []}')
+      const buf = await encode(writersSchema, { a: [1, 2, 3] })
+      assert.deepStrictEqual(await readDatum(buf, writersSchema, readersSchema), {})
+      await assert.rejects(() => readDatum(buf, writersSchema, readersSchema, { maxItems: 2 }), errors.ItemLimitError)
+      await assert.rejects(() => readDatum(buf, writersSchema, readersSchema, { maxDepth: 1 }), errors.DepthLimitError)
+    })
+
+    it('Errors are LimitExceededErrors', () => {
+      for (const name of ['ItemLimitError', 'LengthLimitError', 'DepthLimitError', 'SizeLimitError']) {
+        assert(new errors[name]('message') instanceof errors.LimitExceededError)
+      }
+    })
+  })
+
+  describe('encode', () => {
+    it('Encodes like a DatumWriter', async () => {
+      for (const [exampleSchema, datum] of SCHEMAS_TO_VALIDATE) {
+        const writersSchema = schema.parse(exampleSchema)
+        const [buffer, tap] = await writeDatum(datum, writersSchema)
+        assert.deepStrictEqual(await io.encode(writersSchema, datum), buffer.subarray(0, tap.pos), exampleSchema)
+      }
+    })
+
+    it('Grows the buffer to fit the datum', async () => {
+      const s = schema.parse('{"type": "array", "items": "string"}')
+      const datum = ['a'.repeat(3000), 'b'.repeat(5000)]
+      const buf = await io.encode(s, datum)
+      assert.strictEqual(buf.length, 8006)
+      assert.deepStrictEqual(await readDatum(buf, s), datum)
+    })
+
+    it('Returns buffers of their own', async () => {
+      const s = schema.parse('"string"')
+      const [a, b] = await Promise.all([io.encode(s, 'abc'), io.encode(s, 'de')])
+      await io.encode(s, 'fghij')
+      assert.deepStrictEqual(a, Buffer.from('06616263', 'hex'))
+      assert.deepStrictEqual(b, Buffer.from('046465', 'hex'))
+    })
+
+    it('Passes the options to the DatumWriter', async () => {
+      const s = schema.parse('"long"')
+      assert.deepStrictEqual(await io.encode(s, '-1', { longMode: 'string' }), Buffer.from([0x01]))
+      await assert.rejects(() => io.encode(s, 1.5, { strict: true }), errors.AvroTypeError)
+    })
+
+    it('Calls logical types once when growing the buffer', async () => {
+      const s = schema.parse('{"type": "array", "items": ["long", {"type": "string", "logicalType": "repeat"}]}')
+      let calls = 0
+      const options = {
+        logicalTypes: {
+          repeat: {
+            validateBeforeToValue: value => Number.isInteger(value) && value >= 1000,
+            toValue: async value => {
+              calls++
+              return 'x'.repeat(value)
+            }
+          }
+        }
+      }
+      const buf = await io.encode(s, [1, 2000, 3000], options)
+      assert.strictEqual(calls, 2)
+      assert.deepStrictEqual(await readDatum(buf, s), [1, 'x'.repeat(2000), 'x'.repeat(3000)])
+    })
+
+    it('Reserves a header before the datums', async () => {
+      const s = schema.parse('"string"')
+      const buf = await io.encodeItems([[new io.DatumWriter(s), 'a'.repeat(2000)], [new io.DatumWriter(s), 'b']], 3)
+      assert.deepStrictEqual(buf.subarray(0, 3), Buffer.alloc(3))
+      const tap = new Tap(buf, 3)
+      assert.strictEqual(tap.readString(), 'a'.repeat(2000))
+      assert.strictEqual(tap.readString(), 'b')
+      assert.strictEqual(tap.pos, buf.length)
+    })
+  })
+
   describe('Schema resolution', () => {
     it('Test schema promotion', async () => {
       // Note that checking writers_schema.type in read_data
@@ -235,6 +649,18 @@ describe('IO', () => {
       await assert.rejects(() => datumReader.read(newTap))
     })
 
+    it('Test unknown symbol with enum default', async () => {
+      const writersSchema = schema.parse('{"type": "enum", "name": "Test", "symbols": ["FOO", "BAR", "NEW"]}')
+      const readersSchema = schema.parse('{"type": "enum", "name": "Test", "symbols": ["UNKNOWN", "BAR", "FOO"], "default": "UNKNOWN"}')
+      for (const [datum, expected] of [['FOO', 'FOO'], ['NEW', 'UNKNOWN']]) {
+        const [buffer] = await writeDatum(datum, writersSchema)
+        assert.strictEqual(await readDatum(buffer, writersSchema, readersSchema), expected)
+        const json = await new io.DatumWriter(writersSchema).writeJson(datum)
+        assert.strictEqual(await new io.DatumReader(writersSchema, readersSchema).readJson(json), expected)
+      }
+      await assert.rejects(() => new io.DatumReader(writersSchema, readersSchema).readJson('"OTHER"'), /not an encoding of the schema/)
+    })
+
     it('Test default values', async () => {
       const writersSchema = LONG_RECORD_SCHEMA
       const datumToWrite = LONG_RECORD_DATUM
@@ -303,5 +729,182 @@ describe('IO', () => {
       const datumToWrite = { E: 5, F: 'Bad' }
       await assert.rejects(() => writeDatum(datumToWrite, writersSchema))
     })
+
+    it('Test promotion to float', async () => {
+      for (const ws of ['"int"', '"long"']) {
+        const [buffer] = await writeDatum(16777217, schema.parse(ws))
+        assert.strictEqual(await readDatum(buffer, schema.parse(ws), schema.parse('"float"')), 16777216)
+      }
+    })
+
+    it('Test string and bytes promotion', async () => {
+      const [stringBuffer] = await writeDatum('\u00e9t\u00e9', schema.parse('"string"'))
+      assert.deepStrictEqual(await readDatum(stringBuffer, schema.parse('"string"'), schema.parse('"bytes"')), Buffer.from('\u00e9t\u00e9'))
+      const [bytesBuffer] = await writeDatum(Buffer.from('\u00e9t\u00e9'), schema.parse('"bytes"'))
+      assert.strictEqual(await readDatum(bytesBuffer, schema.parse('"bytes"'), schema.parse('"string"')), '\u00e9t\u00e9')
+
+      const datumReader = new io.DatumReader(schema.parse('"string"'), schema.parse('"bytes"'))
+      assert.deepStrictEqual(await datumReader.readJson('"abc"'), Buffer.from('abc'))
+    })
+
+    it('Test union to union resolution', async () => {
+      const writersSchema = schema.parse('["null", "int", "string"]')
+      const readersSchema = schema.parse('["float", "bytes", "int", "null"]')
+      for (const [datum, expected] of [[16777217, 16777217], ['abc', Buffer.from('abc')], [null, null]]) {
+        const [buffer] = await writeDatum(datum, writersSchema)
+        assert.deepStrictEqual(await readDatum(buffer, writersSchema, readersSchema), expected)
+      }
+
+      const [buffer] = await writeDatum(true, schema.parse('["null", "boolean"]'))
+      await assert.rejects(() => readDatum(buffer, schema.parse('["null", "boolean"]'), readersSchema), /Schemas do not match/)
+    })
+
+    it('Test non-union to union resolution', async () => {
+      const writersSchema = schema.parse('"int"')
+      const [buffer] = await writeDatum(16777217, writersSchema)
+      assert.strictEqual(await readDatum(buffer, writersSchema, schema.parse('["null", "float", "int"]')), 16777217)
+      assert.strictEqual(await readDatum(buffer, writersSchema, schema.parse('["null", "float"]')), 16777216)
+    })
+
+    it('Test recursive array and map resolution', async () => {
+      const examples = [
+        ['{"type": "array", "items": "int"}', '{"type": "array", "items": "long"}', [1, 2, 3], [1, 2, 3]],
+        ['{"type": "map", "values": {"type": "array", "items": "string"}}', '{"type": "map", "values": {"type": "array", "items": "bytes"}}',
+          { a: ['x'] }, { a: [Buffer.from('x')] }],
+        ['{"type": "array", "items": {"type": "record", "name": "Item", "fields": [{"name": "a", "type": "int"}, {"name": "b", "type": "string"}]}}',
+          '{"type": "array", "items": {"type": "record", "name": "Item", "fields": [{"name": "a", "type": "double"}, {"name": "c", "type": "int", "default": 0}]}}',
+          [{ a: 1, b: 'skipped' }], [{ a: 1, c: 0 }]]
+      ]
+      for (const [ws, rs, datum, expected] of examples) {
+        const writersSchema = schema.parse(ws)
+        const [buffer] = await writeDatum(datum, writersSchema)
+        assert.deepStrictEqual(await readDatum(buffer, writersSchema, schema.parse(rs)), expected)
+      }
+
+      const writersSchema = schema.parse('{"type": "array", "items": "string"}')
+      const [buffer] = await writeDatum(['a'], writersSchema)
+      await assert.rejects(() => readDatum(buffer, writersSchema, schema.parse('{"type": "array", "items": "int"}')), /Schemas do not match/)
+    })
+
+    it('Test named types match on unqualified names', async () => {
+      const writersSchema = schema.parse('{"type": "record", "name": "org.old.Test", "fields": [{"name": "a", "type": {"type": "fixed", "name": "org.old.F", "size": 1}}]}')
+      const readersSchema = schema.parse('{"type": "record", "name": "org.new.Test", "fields": [{"name": "a", "type": {"type": "fixed", "name": "F", "size": 1}}]}')
+      const [buffer] = await writeDatum({ a: Buffer.from('x') }, writersSchema)
+      assert.deepStrictEqual(await readDatum(buffer, writersSchema, readersSchema), { a: Buffer.from('x') })
+
+      const otherSchema = schema.parse('{"type": "record", "name": "org.old.Other", "fields": []}')
+      await assert.rejects(() => readDatum(buffer, writersSchema, otherSchema), /Schemas do not match/)
+    })
+
+    it('Test aliases', async () => {
+      const writersSchema = schema.parse(`
+        {"type": "record", "name": "org.old.Client",
+         "fields": [{"name": "id", "type": "long"},
+                    {"name": "kind", "type": {"type": "enum", "name": "ClientKind", "symbols": ["A", "B"]}},
+                    {"name": "hash", "type": {"type": "fixed", "name": "Hash", "size": 2}}]}`)
+      const readersSchema = schema.parse(`
+        {"type": "record", "name": "org.new.Customer", "aliases": ["org.old.Client"],
+         "fields": [{"name": "customerId", "type": "long", "aliases": ["clientId", "id"]},
+                    {"name": "kind", "type": {"type": "enum", "name": "Kind", "aliases": ["ClientKind"], "symbols": ["B", "A"]}},
+                    {"name": "digest", "aliases": ["hash"], "type": {"type": "fixed", "name": "Digest", "aliases": ["org.old.Hash"], "size": 2}}]}`)
+      const datum = { id: 1, kind: 'B', hash: Buffer.from('ab') }
+      const expected = { customerId: 1, kind: 'B', digest: Buffer.from('ab') }
+
+      const [buffer] = await writeDatum(datum, writersSchema)
+      assert.deepStrictEqual(await readDatum(buffer, writersSchema, readersSchema), expected)
+
+      const json = await new io.DatumWriter(writersSchema).writeJson(datum)
+      assert.deepStrictEqual(await new io.DatumReader(writersSchema, readersSchema).readJson(json), expected)
+
+      // Without the aliases the names do not match
+      const unaliased = schema.parse(readersSchema.toString().replace(/"aliases":\[[^\]]*\],?/g, ''))
+      await assert.rejects(() => readDatum(buffer, writersSchema, unaliased), /Schemas do not match/)
+    })
+
+    it('Test field aliases and defaults', async () => {
+      const writersSchema = schema.parse('{"type": "record", "name": "Test", "fields": [{"name": "a", "type": "int"}]}')
+      const readersSchema = schema.parse(`
+        {"type": "record", "name": "Test",
+         "fields": [{"name": "b", "type": "int", "aliases": ["a"]},
+                    {"name": "a", "type": "int", "default": 0}]}`)
+      const [buffer] = await writeDatum({ a: 5 }, writersSchema)
+      assert.deepStrictEqual(await readDatum(buffer, writersSchema, readersSchema), { b: 5, a: 0 })
+    })
+
+    it('Test skipping fields missing from the reader', async () => {
+      const writersSchema = schema.parse(`
+        {"type": "record", "name": "Test",
+         "fields": [{"name": "s", "type": "string"},
+                    {"name": "a", "type": {"type": "array", "items": "string"}},
+                    {"name": "m", "type": {"type": "map", "values": "long"}},
+                    {"name": "kept", "type": "int"}]}`)
+      const readersSchema = schema.parse('{"type": "record", "name": "Test", "fields": [{"name": "kept", "type": "int"}]}')
+      const [buffer] = await writeDatum({ s: 'abc', a: ['x', 'y'], m: { k: 1 }, kept: 7 }, writersSchema)
+      assert.deepStrictEqual(await readDatum(buffer, writersSchema, readersSchema), { kept: 7 })
+    })
+
+    it('Test blocks with negative counts', async () => {
+      const mapSchema = schema.parse('{"type": "map", "values": "int"}')
+      // Block of -1 entries, 3 bytes long: key "a" and value 1
+      const mapBuffer = Buffer.from([0x01, 0x06, 0x02, 0x61, 0x02, 0x00])
+      assert.deepStrictEqual(await readDatum(mapBuffer, mapSchema), { a: 1 })
+
+      const recordSchema = schema.parse('{"type": "record", "name": "Test", "fields": [{"name": "m", "type": {"type": "map", "values": "int"}}, {"name": "b", "type": "int"}]}')
+      const readersSchema = schema.parse('{"type": "record", "name": "Test", "fields": [{"name": "b", "type": "int"}]}')
+      assert.deepStrictEqual(await readDatum(Buffer.concat([mapBuffer, Buffer.from([0x04])]), recordSchema, readersSchema), { b: 2 })
+    })
+  })
+  describe('JSON encoding', () => {
+    describe('Round trip', () => {
+      for (const [exampleSchema, datum] of SCHEMAS_TO_VALIDATE) {
+        it(exampleSchema, async () => {
+          const writersSchema = schema.parse(exampleSchema)
+          const json = await new io.DatumWriter(writersSchema).writeJson(datum)
+          const roundTripDatum = await new io.DatumReader(writersSchema).readJson(json)
+          assert.deepStrictEqual(roundTripDatum, datum)
+        })
+      }
+    })
+
+    describe('Encoding', () => {
+      for (const [exampleSchema, datum, json] of JSON_ENCODINGS) {
+        it(`${exampleSchema} => ${json}`, async () => {
+          const writersSchema = schema.parse(exampleSchema)
+          assert.strictEqual(await new io.DatumWriter(writersSchema).writeJson(datum), json)
+          assert.deepStrictEqual(await new io.DatumReader(writersSchema).readJson(json), datum)
+        })
+      }
+    })
+
+    it('Resolves against the reader\'s schema', async () => {
+      const writersSchema = LONG_RECORD_SCHEMA
+      const readersSchema = schema.parse(`
+        {"type": "record", "name": "Test",
+        "fields": [{"name": "F", "type": ["null", "long"]},
+                    {"name": "E", "type": "double"},
+                    {"name": "H", "type": "string", "default": "h"}]}`)
+      const json = await new io.DatumWriter(writersSchema).writeJson(LONG_RECORD_DATUM)
+      const datumRead = await new io.DatumReader(writersSchema, readersSchema).readJson(json)
+      assert.deepStrictEqual(datumRead, { E: 5, F: 6, H: 'h' })
+    })
+
+    it('Rejects values not matching the writer\'s schema', async () => {
+      const writersSchema = schema.parse('{"type": "record", "name": "R", "fields": [{"name": "f", "type": ["null", "int"]}]}')
+      const datumReader = new io.DatumReader(writersSchema)
+      await assert.rejects(() => datumReader.readJson('{"f": {"string": "a"}}'))
+      await assert.rejects(() => datumReader.readJson('{"f": 1}'))
+      await assert.rejects(() => datumReader.readJson('[]'))
+      await assert.rejects(() => datumReader.readJson('{"f": '), /Error parsing JSON/)
+    })
+
+    it('Rejects arrays as maps', async () => {
+      const writersSchema = schema.parse('{"type": "map", "values": "int"}')
+      await assert.rejects(() => new io.DatumReader(writersSchema).readJson('[1, 2]'), errors.AvroTypeError)
+    })
+
+    it('Rejects invalid datums', async () => {
+      const writersSchema = schema.parse('"int"')
+      await assert.rejects(() => new io.DatumWriter(writersSchema).writeJson('a'))
+    })
   })
 })
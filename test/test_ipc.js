@@ -0,0 +1,212 @@
+const assert = require('assert')
+const net = require('net')
+const { Duplex } = require('stream')
+const ipc = require('../src/ipc')
+const protocol = require('../src/protocol')
+const io = require('../src/io')
+const Tap = require('../src/tap')
+
+const PROTOCOL_JSON = {
+  protocol: 'Mail',
+  namespace: 'org.example',
+  types: [
+    { type: 'record', name: 'Message', fields: [{ name: 'to', type: 'string' }, { name: 'body', type: 'string' }] },
+    { type: 'error', name: 'Bounce', fields: [{ name: 'reason', type: 'string' }] }
+  ],
+  messages: {
+    send: { request: [{ name: 'message', type: 'Message' }], response: 'string', errors: ['Bounce'] },
+    add: { request: [{ name: 'a', type: 'int' }, { name: 'b', type: 'int' }], response: 'long' },
+    notify: { request: [{ name: 'text', type: 'string' }], response: 'null', 'one-way': true }
+  }
+}
+
+const MAIL = protocol.parseProtocol(PROTOCOL_JSON)
+
+/**
+ * Two connected in-process streams.
+ */
+function duplexPair () {
+  const client = new Duplex({ read () {}, write (chunk, encoding, cb) { server.push(chunk); cb() } })
+  const server = new Duplex({ read () {}, write (chunk, encoding, cb) { client.push(chunk); cb() } })
+  return [client, server]
+}
+
+function connect (handlers, clientProtocol = MAIL) {
+  const [clientStream, serverStream] = duplexPair()
+  const responder = new ipc.Responder(MAIL, handlers)
+  responder.listen(serverStream)
+  return new ipc.Requestor(clientProtocol, clientStream)
+}
+
+const HANDLERS = {
+  send: async ({ message }) => {
+    if (message.to === '') {
+      throw new ipc.AvroRemoteError({ reason: 'No recipient' })
+    } else if (message.to === 'crash') {
+      throw new Error('Mail server crashed')
+    }
+    return `Sent to ${message.to}`
+  },
+  add: async ({ a, b }) => a + b
+}
+
+describe('IPC', () => {
+  describe('Framing', () => {
+    it('Splits messages in frames', () => {
+      const buf = ipc.encodeFrames(Buffer.from('abcde'), 2)
+      assert.deepStrictEqual(buf, Buffer.from([
+        0, 0, 0, 2, 0x61, 0x62,
+        0, 0, 0, 2, 0x63, 0x64,
+        0, 0, 0, 1, 0x65,
+        0, 0, 0, 0
+      ]))
+    })
+
+    it('Reassembles messages from chunks', () => {
+      const decoder = new ipc.FrameDecoder()
+      const buf = Buffer.concat([ipc.encodeFrames(Buffer.from('hello'), 2), ipc.encodeFrames(Buffer.from('world'))])
+      const messages = []
+      for (let i = 0; i < buf.length; i += 3) {
+        messages.push(...decoder.push(buf.subarray(i, i + 3)))
+      }
+      assert.deepStrictEqual(messages, [Buffer.from('hello'), Buffer.from('world')])
+    })
+  })
+
+  describe('Calls', () => {
+    it('Returns responses', async () => {
+      const requestor = connect(HANDLERS)
+      assert.strictEqual(await requestor.request('send', { message: { to: 'bob', body: 'hi' } }), 'Sent to bob')
+      assert.strictEqual(await requestor.request('add', { a: 1, b: 2 }), 3)
+    })
+
+    it('Keeps responses in order', async () => {
+      const requestor = connect({
+        add: ({ a, b }) => new Promise(resolve => setTimeout(() => resolve(a + b), 10 - a))
+      })
+      const sums = await Promise.all([1, 2, 3, 4, 5].map(a => requestor.request('add', { a, b: 10 })))
+      assert.deepStrictEqual(sums, [11, 12, 13, 14, 15])
+    })
+
+    it('Returns declared errors', async () => {
+      const requestor = connect(HANDLERS)
+      await assert.rejects(requestor.request('send', { message: { to: '', body: 'hi' } }), err => {
+        assert(err instanceof ipc.AvroRemoteError)
+        assert.deepStrictEqual(err.datum, { reason: 'No recipient' })
+        return true
+      })
+    })
+
+    it('Returns other errors as system errors', async () => {
+      const requestor = connect(HANDLERS)
+      await assert.rejects(requestor.request('send', { message: { to: 'crash', body: 'hi' } }), err => {
+        assert(err instanceof ipc.AvroRemoteError)
+        assert.strictEqual(err.datum, 'Mail server crashed')
+        return true
+      })
+      await assert.rejects(connect({}).request('add', { a: 1, b: 2 }), { datum: 'No handler for message add.' })
+    })
+
+    it('Returns undeclared error datums as system errors', async () => {
+      const requestor = connect({ add: async () => { throw new ipc.AvroRemoteError({ reason: 'Not declared' }) } })
+      await assert.rejects(requestor.request('add', { a: 1, b: 2 }), /Invalid error for message add/)
+    })
+
+    it('Sends one-way messages', async () => {
+      const notifications = []
+      const requestor = connect({
+        notify: async ({ text }) => { notifications.push(text) },
+        add: HANDLERS.add
+      })
+      assert.strictEqual(await requestor.request('notify', { text: 'with handshake' }), undefined)
+      assert.strictEqual(await requestor.request('notify', { text: 'without handshake' }), undefined)
+      // Calls are processed in order, the response proves the notifications were handled
+      await requestor.request('add', { a: 1, b: 1 })
+      assert.deepStrictEqual(notifications, ['with handshake', 'without handshake'])
+    })
+
+    it('Rejects unknown messages and invalid requests', async () => {
+      const requestor = connect(HANDLERS)
+      await assert.rejects(requestor.request('remove', {}), /Unknown message: remove/)
+      await assert.rejects(requestor.request('add', { a: 'one', b: 2 }))
+    })
+
+    it('Rejects pending calls when the transport closes', async () => {
+      const [clientStream] = duplexPair()
+      const requestor = new ipc.Requestor(MAIL, clientStream)
+      const call = requestor.request('add', { a: 1, b: 2 })
+      setImmediate(() => clientStream.destroy())
+      await assert.rejects(call, /closed/)
+    })
+  })
+
+  describe('Handshake', () => {
+    it('Matches identical protocols at once', async () => {
+      const [clientStream, serverStream] = duplexPair()
+      const requests = []
+      serverStream.on('data', chunk => requests.push(chunk))
+      new ipc.Responder(MAIL, HANDLERS).listen(serverStream)
+      const requestor = new ipc.Requestor(MAIL, clientStream)
+
+      await requestor.request('add', { a: 1, b: 2 })
+      assert.strictEqual(requests.length, 1)
+      assert.strictEqual(requestor.remoteProtocol, MAIL)
+    })
+
+    it('Sends the client protocol when the server does not know it', async () => {
+      // Same messages, different protocol text
+      const clientProtocol = protocol.parseProtocol({ ...PROTOCOL_JSON, doc: 'Client side' })
+      const [clientStream, serverStream] = duplexPair()
+      const requests = []
+      serverStream.on('data', chunk => requests.push(chunk))
+      const responder = new ipc.Responder(MAIL, HANDLERS)
+      responder.listen(serverStream)
+      const requestor = new ipc.Requestor(clientProtocol, clientStream)
+
+      assert.strictEqual(await requestor.request('add', { a: 1, b: 2 }), 3)
+      assert.strictEqual(requests.length, 2)
+      assert.deepStrictEqual(requestor.remoteProtocol.md5, MAIL.md5)
+
+      // Later calls on the connection are sent without handshake
+      assert.strictEqual(await requestor.request('add', { a: 2, b: 2 }), 4)
+      assert.strictEqual(requests.length, 3)
+    })
+
+    it('Resolves requests and responses between protocols', async () => {
+      // The client sends int parameters and reads a double response
+      const clientJson = JSON.parse(JSON.stringify(PROTOCOL_JSON))
+      clientJson.messages.add.response = 'double'
+      const requestor = connect(HANDLERS, protocol.parseProtocol(clientJson))
+      assert.strictEqual(await requestor.request('add', { a: 1, b: 2 }), 3)
+    })
+
+    it('Exchanges handshake records', async () => {
+      const responder = new ipc.Responder(MAIL, HANDLERS)
+      const tap = new Tap(Buffer.alloc(1024))
+      await new io.DatumWriter(ipc.HANDSHAKE_REQUEST_SCHEMA).write({ clientHash: Buffer.alloc(16), clientProtocol: null, serverHash: MAIL.md5, meta: null }, tap)
+      const [handshakeResponse, remoteProtocol] = await responder.processHandshake(new Tap(tap.buf.subarray(0, tap.pos)))
+      assert.strictEqual(remoteProtocol, undefined)
+      const response = await new io.DatumReader(ipc.HANDSHAKE_RESPONSE_SCHEMA).read(new Tap(handshakeResponse))
+      assert.strictEqual(response.match, 'NONE')
+      assert.strictEqual(response.serverProtocol, MAIL.toString())
+      assert.deepStrictEqual(response.serverHash, MAIL.md5)
+    })
+  })
+
+  describe('Sockets', () => {
+    it('Calls over a TCP connection', async () => {
+      const responder = new ipc.Responder(MAIL, HANDLERS)
+      const server = net.createServer(socket => responder.listen(socket))
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      const socket = net.connect(server.address().port, '127.0.0.1')
+      try {
+        const requestor = new ipc.Requestor(MAIL, socket)
+        assert.strictEqual(await requestor.request('send', { message: { to: 'alice', body: 'hi' } }), 'Sent to alice')
+        assert.strictEqual(await requestor.request('add', { a: 20, b: 22 }), 42)
+      } finally {
+        socket.destroy()
+        await new Promise(resolve => server.close(resolve))
+      }
+    })
+  })
+})
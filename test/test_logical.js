@@ -128,4 +128,50 @@ describe('Logical type', () => {
 
     assert.notDeepStrictEqual(datumNoLogical, datumLogical)
   })
+  it('Logical types in the JSON encoding', async () => {
+    const writersSchema = schema.parse(`
+      {"type": "record", "name": "Test",
+       "fields": [{"name": "n", "type": ["null", {"type": "string", "logicalType": "hello"}]}]}`)
+
+    const options = {
+      logicalTypes: {
+        hello: {
+          toValue: async (value, schema) => value.toString(),
+          validateBeforeToValue: (value, schema, options) => utils.isNumber(value),
+          fromValue: async (value, schema) => Number.parseInt(value),
+          validateBeforeFromValue: (value, schema, options) => utils.isString(value)
+        }
+      }
+    }
+
+    const json = await new io.DatumWriter(writersSchema, options).writeJson({ n: 12 })
+    assert.strictEqual(json, '{"n":{"string":"12"}}')
+    const datum = await new io.DatumReader(writersSchema, undefined, options).readJson(json)
+    assert.deepStrictEqual(datum, { n: 12 })
+  })
+
+  it('Logical types of default values', async () => {
+    const writersSchema = schema.parse('{"type": "record", "name": "Test", "fields": []}')
+    const readersSchema = schema.parse(`
+      {"type": "record", "name": "Test",
+       "fields": [{"name": "n", "type": {"type": "string", "logicalType": "hello"}, "default": "12"},
+                  {"name": "l", "type": {"type": "array", "items": ["null", {"type": "string", "logicalType": "hello"}]},
+                   "default": [null]},
+                  {"name": "b", "type": {"type": "bytes", "logicalType": "hello"}, "default": "\\u00ff"}]}`)
+
+    const options = {
+      logicalTypes: {
+        hello: {
+          toValue: (value, schema) => value.toString(),
+          validateBeforeToValue: (value, schema, options) => utils.isNumber(value),
+          fromValue: (value, schema) => schema.type === 'bytes' ? value.length : Number.parseInt(value),
+          validateBeforeFromValue: (value, schema, options) => true
+        }
+      }
+    }
+
+    const [buffer] = await writeDatum({}, writersSchema)
+    const datum = await readDatum(buffer, writersSchema, readersSchema, options)
+    assert.deepStrictEqual(datum, { n: 12, l: [null], b: 1 })
+  })
 })
@@ -0,0 +1,89 @@
+const assert = require('assert')
+const message = require('../src/message')
+const fingerprint = require('../src/fingerprint')
+const schema = require('../src/schema')
+const utils = require('../src/utils')
+
+const WRITERS_SCHEMA = schema.parse(`
+  {"type": "record",
+   "name": "Test",
+   "namespace": "org.example",
+   "fields": [{"name": "id", "type": "long"},
+              {"name": "label", "type": "string"}]}`)
+
+const DATUM = { id: 42, label: 'answer' }
+
+describe('Single-object encoding', () => {
+  it('Writes the marker and fingerprint before the body', async () => {
+    const encoder = new message.BinaryMessageEncoder(WRITERS_SCHEMA)
+    const buf = await encoder.encode(DATUM)
+    assert.deepStrictEqual(buf.subarray(0, 2), Buffer.from([0xc3, 0x01]))
+    assert.deepStrictEqual(buf.subarray(2, 10), fingerprint.fingerprint64(WRITERS_SCHEMA))
+    // long 42, string of 6 characters
+    assert.deepStrictEqual(buf.subarray(10), Buffer.concat([Buffer.from([84, 12]), Buffer.from('answer')]))
+  })
+
+  it('Round trips through a schema store', async () => {
+    const encoder = new message.BinaryMessageEncoder(WRITERS_SCHEMA)
+    const decoder = new message.BinaryMessageDecoder(undefined, new message.SchemaStore([WRITERS_SCHEMA]))
+    assert.deepStrictEqual(await decoder.decode(await encoder.encode(DATUM)), DATUM)
+  })
+
+  it('Resolves against the reader\'s schema', async () => {
+    const readersSchema = schema.parse(`
+      {"type": "record",
+       "name": "Test",
+       "namespace": "org.example",
+       "fields": [{"name": "label", "type": "string"},
+                  {"name": "count", "type": "int", "default": 0}]}`)
+    const encoder = new message.BinaryMessageEncoder(WRITERS_SCHEMA)
+    const decoder = new message.BinaryMessageDecoder(readersSchema, new message.SchemaStore([WRITERS_SCHEMA, readersSchema]))
+    assert.deepStrictEqual(await decoder.decode(await encoder.encode(DATUM)), { label: 'answer', count: 0 })
+  })
+
+  it('Supports async schema stores', async () => {
+    const store = new message.SchemaStore([WRITERS_SCHEMA])
+    const asyncStore = { findByFingerprint: async (fp) => store.findByFingerprint(fp) }
+    const encoder = new message.BinaryMessageEncoder(WRITERS_SCHEMA)
+    const decoder = new message.BinaryMessageDecoder(undefined, asyncStore)
+    assert.deepStrictEqual(await decoder.decode(await encoder.encode(DATUM)), DATUM)
+  })
+
+  it('Supports async logical types', async () => {
+    const writersSchema = schema.parse('{"type": "string", "logicalType": "upper"}')
+    const options = {
+      logicalTypes: {
+        upper: {
+          toValue: async (value) => value.toUpperCase(),
+          validateBeforeToValue: (value) => utils.isString(value),
+          fromValue: async (value) => value.toLowerCase(),
+          validateBeforeFromValue: (value) => utils.isString(value)
+        }
+      }
+    }
+    const encoder = new message.BinaryMessageEncoder(writersSchema, options)
+    const buf = await encoder.encode('secret')
+    assert.strictEqual(buf.subarray(11).toString(), 'SECRET')
+    const decoder = new message.BinaryMessageDecoder(undefined, new message.SchemaStore([writersSchema]), options)
+    assert.strictEqual(await decoder.decode(buf), 'secret')
+  })
+
+  it('Encodes datums larger than the initial buffer', async () => {
+    const encoder = new message.BinaryMessageEncoder(WRITERS_SCHEMA)
+    const decoder = new message.BinaryMessageDecoder(undefined, new message.SchemaStore([WRITERS_SCHEMA]))
+    const datum = { id: 1, label: 'x'.repeat(3000) }
+    assert.deepStrictEqual(await decoder.decode(await encoder.encode(datum)), datum)
+  })
+
+  it('Rejects an unknown fingerprint', async () => {
+    const encoder = new message.BinaryMessageEncoder(WRITERS_SCHEMA)
+    const decoder = new message.BinaryMessageDecoder(undefined, new message.SchemaStore())
+    await assert.rejects(async () => decoder.decode(await encoder.encode(DATUM)), /Cannot resolve schema for fingerprint/)
+  })
+
+  it('Rejects a missing marker', async () => {
+    const decoder = new message.BinaryMessageDecoder(undefined, new message.SchemaStore([WRITERS_SCHEMA]))
+    await assert.rejects(() => decoder.decode(Buffer.from([0xc3, 0x02, 0, 0, 0, 0, 0, 0, 0, 0])), /invalid marker/)
+    await assert.rejects(() => decoder.decode(Buffer.from([0xc3, 0x01])), /invalid marker/)
+  })
+})
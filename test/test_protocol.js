@@ -0,0 +1,182 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const protocol = require('../src/protocol')
+const errors = require('../src/errors')
+const io = require('../src/io')
+const Tap = require('../src/tap')
+
+const HELLO_WORLD = {
+  protocol: 'HelloWorld',
+  namespace: 'com.acme',
+  doc: 'Protocol Greetings',
+  types: [
+    { name: 'Greeting', type: 'record', fields: [{ name: 'message', type: 'string' }] },
+    { name: 'Curse', type: 'error', fields: [{ name: 'message', type: 'string' }] }
+  ],
+  messages: {
+    hello: {
+      doc: 'Say hello.',
+      request: [{ name: 'greeting', type: 'Greeting' }],
+      response: 'Greeting',
+      errors: ['Curse']
+    },
+    ping: {
+      request: [],
+      response: 'null',
+      'one-way': true
+    }
+  }
+}
+
+const VALID_PROTOCOLS = [
+  HELLO_WORLD,
+  {
+    protocol: 'Simple',
+    namespace: 'org.apache.avro.test',
+    types: [
+      { type: 'enum', name: 'Kind', symbols: ['FOO', 'BAR', 'BAZ'] },
+      { type: 'fixed', name: 'MD5', size: 16 },
+      {
+        type: 'record',
+        name: 'TestRecord',
+        fields: [
+          { name: 'name', type: 'string', order: 'ignore' },
+          { name: 'kind', type: 'org.apache.avro.test.Kind', order: 'descending' },
+          { name: 'hash', type: 'org.apache.avro.test.MD5' }
+        ]
+      },
+      { type: 'error', name: 'TestError', fields: [{ name: 'message', type: 'string' }] }
+    ],
+    messages: {
+      hello: { request: [{ name: 'greeting', type: 'string' }], response: 'string' },
+      echo: { request: [{ name: 'record', type: 'org.apache.avro.test.TestRecord' }], response: 'org.apache.avro.test.TestRecord' },
+      add: { request: [{ name: 'arg1', type: 'int' }, { name: 'arg2', type: 'int' }], response: 'int' },
+      echoBytes: { request: [{ name: 'data', type: 'bytes' }], response: 'bytes' },
+      error: { request: [], response: 'null', errors: ['org.apache.avro.test.TestError'] }
+    }
+  },
+  {
+    protocol: 'NoNamespace',
+    types: [],
+    messages: {
+      list: { request: [], response: { type: 'array', items: 'long' } }
+    }
+  }
+]
+
+const INVALID_PROTOCOLS = [
+  [{ namespace: 'com.acme', messages: {} }, /non-empty name/],
+  [{ protocol: 'P', types: {} }, /types property must be a list/],
+  [{ protocol: 'P', types: ['string'] }, /not a named type/],
+  [{ protocol: 'P', messages: { m: { response: 'null' } } }, /must be a list of parameters/],
+  [{ protocol: 'P', messages: { m: { request: [] } } }, /requires a response property/],
+  [{ protocol: 'P', messages: { m: { request: [], response: 'Missing' } } }, /not a valid Avro schema/],
+  [{ protocol: 'P', messages: { m: { request: [], response: 'null', errors: ['Missing'] } } }, /Missing/],
+  [{
+    protocol: 'P',
+    types: [{ type: 'record', name: 'R', fields: [] }],
+    messages: { m: { request: [], response: 'null', errors: ['R'] } }
+  }, /not an error type/],
+  [{ protocol: 'P', messages: { m: { request: [], response: 'int', 'one-way': true } } }, /must have a null response/],
+  [{ protocol: 'P', messages: { m: 'null' } }, /must be a JSON object/],
+  ['{"protocol": "P"', /Error parsing JSON/],
+  ['"P"', /Not a JSON object/]
+]
+
+describe('Protocol', () => {
+  describe('Parsing', () => {
+    for (const example of VALID_PROTOCOLS) {
+      it(example.protocol, () => {
+        const parsed = protocol.parseProtocol(JSON.stringify(example))
+        assert.strictEqual(parsed.name, example.protocol)
+        assert.deepStrictEqual(JSON.parse(parsed.toString()), protocol.parseProtocol(parsed.toJson()).toJson())
+      })
+    }
+
+    for (const [example, error] of INVALID_PROTOCOLS) {
+      it(`Invalid: ${JSON.stringify(example)}`, () => {
+        assert.throws(() => protocol.parseProtocol(example), err => err instanceof errors.SchemaParseError && error.test(err.message))
+      })
+    }
+
+    it('Keeps the cause of an invalid response', () => {
+      assert.throws(() => protocol.parseProtocol({ protocol: 'P', messages: { m: { request: [], response: { type: 'array' } } } }),
+        err => err instanceof errors.SchemaParseError && /not a valid Avro schema/.test(err.message) && err.cause instanceof errors.SchemaParseError)
+    })
+  })
+
+  describe('Attributes', () => {
+    const parsed = protocol.parseProtocol(HELLO_WORLD)
+
+    it('Protocol', () => {
+      assert.strictEqual(parsed.fullname, 'com.acme.HelloWorld')
+      assert.strictEqual(parsed.namespace, 'com.acme')
+      assert.strictEqual(parsed.doc, 'Protocol Greetings')
+      assert.deepStrictEqual(Object.keys(parsed.typesDict), ['com.acme.Greeting', 'com.acme.Curse'])
+      assert.deepStrictEqual(Object.keys(parsed.messages), ['hello', 'ping'])
+    })
+
+    it('Messages', () => {
+      const hello = parsed.messages.hello
+      assert.strictEqual(hello.name, 'hello')
+      assert.strictEqual(hello.doc, 'Say hello.')
+      assert.strictEqual(hello.oneWay, false)
+      assert.strictEqual(hello.request.type, 'request')
+      assert.strictEqual(hello.request.fields[0].type, parsed.types[0])
+      assert.strictEqual(hello.response, parsed.types[0])
+      assert.deepStrictEqual(hello.errors.schemas.map(s => s.type), ['string', 'error'])
+      assert.strictEqual(hello.errors.schemas[1], parsed.types[1])
+      assert.strictEqual(parsed.messages.ping.oneWay, true)
+    })
+
+    it('toJson', () => {
+      assert.deepStrictEqual(parsed.toJson().messages, {
+        hello: {
+          doc: 'Say hello.',
+          request: [{ name: 'greeting', type: 'com.acme.Greeting' }],
+          response: 'com.acme.Greeting',
+          errors: ['com.acme.Curse']
+        },
+        ping: { request: [], response: 'null', 'one-way': true }
+      })
+    })
+
+    it('MD5', () => {
+      assert.deepStrictEqual(parsed.md5, crypto.createHash('md5').update(parsed.toString()).digest())
+    })
+  })
+
+  describe('Encoding', () => {
+    const parsed = protocol.parseProtocol(HELLO_WORLD)
+
+    async function roundTrip (writersSchema, datum) {
+      const tap = new Tap(Buffer.alloc(64))
+      await new io.DatumWriter(writersSchema).write(datum, tap)
+      const buf = tap.buf.subarray(0, tap.pos)
+      return [buf, await new io.DatumReader(writersSchema).read(new Tap(buf))]
+    }
+
+    it('Requests', async () => {
+      const datum = { greeting: { message: 'hi' } }
+      const [buf, read] = await roundTrip(parsed.messages.hello.request, datum)
+      assert.deepStrictEqual(buf, Buffer.from([4, 0x68, 0x69]))
+      assert.deepStrictEqual(read, datum)
+    })
+
+    it('Error unions', async () => {
+      const errors = parsed.messages.hello.errors
+      const [systemBuf, systemError] = await roundTrip(errors, 'boom')
+      assert.deepStrictEqual(systemBuf, Buffer.from([0, 8, 0x62, 0x6f, 0x6f, 0x6d]))
+      assert.strictEqual(systemError, 'boom')
+
+      const [curseBuf, curse] = await roundTrip(errors, { message: 'hex' })
+      assert.deepStrictEqual(curseBuf, Buffer.from([2, 6, 0x68, 0x65, 0x78]))
+      assert.deepStrictEqual(curse, { message: 'hex' })
+    })
+
+    it('Rejects invalid requests', async () => {
+      const tap = new Tap(Buffer.alloc(64))
+      await assert.rejects(new io.DatumWriter(parsed.messages.hello.request).write({ greeting: 'hi' }, tap))
+    })
+  })
+})
@@ -62,7 +62,10 @@ const ENUM_EXAMPLES = [
     {"type": "enum",
      "name": "Test"
      "symbols" : ["AA", "AA"]}
-    `, false)
+    `, false),
+  makeExampleSchema('{"type": "enum", "name": "Test", "symbols": ["A", "B"], "default": "B"}', true),
+  makeExampleSchema('{"type": "enum", "name": "Test", "symbols": ["A", "B"], "default": "C"}', false),
+  makeExampleSchema('{"type": "enum", "name": "Test", "symbols": ["A", "B"], "default": 0}', false)
 ]
 
 const ARRAY_EXAMPLES = [
@@ -216,6 +219,58 @@ const RECORD_EXAMPLES = [
     `, false)
 ]
 
+function makeDefaultExample (type, defaultValue, valid) {
+  return makeExampleSchema(`
+    {"type": "record", "name": "Test",
+     "fields": [{"name": "f", "type": ${type}, "default": ${defaultValue}}]}
+    `, valid)
+}
+
+const DEFAULT_EXAMPLES = [
+  makeDefaultExample('"null"', 'null', true),
+  makeDefaultExample('"null"', '0', false),
+  makeDefaultExample('"boolean"', 'false', true),
+  makeDefaultExample('"boolean"', '"true"', false),
+  makeDefaultExample('"int"', '-2147483648', true),
+  makeDefaultExample('"int"', '2147483648', false),
+  makeDefaultExample('"int"', '1.5', false),
+  makeDefaultExample('"int"', '"1"', false),
+  makeDefaultExample('"long"', '2147483648', true),
+  makeDefaultExample('"double"', '1.5', true),
+  makeDefaultExample('"float"', '"NaN"', true),
+  makeDefaultExample('"double"', '"Infinity"', true),
+  makeDefaultExample('"double"', '"-Infinity"', true),
+  makeDefaultExample('"double"', '"1.5"', false),
+  makeDefaultExample('"string"', '"\\u00ff\\u0100"', true),
+  makeDefaultExample('"string"', 'null', false),
+  makeDefaultExample('"bytes"', '"\\u00ff"', true),
+  makeDefaultExample('"bytes"', '"\\u0100"', false),
+  makeDefaultExample('{"type": "fixed", "name": "F", "size": 2}', '"ab"', true),
+  makeDefaultExample('{"type": "fixed", "name": "F", "size": 2}', '"a"', false),
+  makeDefaultExample('{"type": "enum", "name": "E", "symbols": ["A"]}', '"A"', true),
+  makeDefaultExample('{"type": "enum", "name": "E", "symbols": ["A"]}', '"B"', false),
+  makeDefaultExample('{"type": "array", "items": "int"}', '[1, 2]', true),
+  makeDefaultExample('{"type": "array", "items": "int"}', '[1, "2"]', false),
+  makeDefaultExample('{"type": "array", "items": "int"}', '{}', false),
+  makeDefaultExample('{"type": "map", "values": "int"}', '{"a": 1}', true),
+  makeDefaultExample('{"type": "map", "values": "int"}', '{"a": null}', false),
+  makeDefaultExample('{"type": "map", "values": "int"}', '[]', false),
+  makeDefaultExample('["null", "int"]', 'null', true),
+  makeDefaultExample('["null", "int"]', '1', false),
+  makeDefaultExample('["int", "null"]', '1', true),
+  makeDefaultExample(`
+    {"type": "record", "name": "R",
+     "fields": [{"name": "a", "type": "int"},
+                {"name": "b", "type": "string", "default": "x"}]}`, '{"a": 1}', true),
+  makeDefaultExample(`
+    {"type": "record", "name": "R",
+     "fields": [{"name": "a", "type": "int"},
+                {"name": "b", "type": "string", "default": "x"}]}`, '{"b": "y"}', false),
+  makeDefaultExample(`
+    {"type": "record", "name": "Node",
+     "fields": [{"name": "next", "type": ["null", "Node"], "default": null}]}`, '{"next": null}', true)
+]
+
 const DOC_EXAMPLES = [
   makeExampleSchema(`
     {"type": "record",
@@ -255,6 +310,34 @@ const OTHER_PROP_EXAMPLES = [
     `, true)
 ]
 
+const CANONICAL_FORM_EXAMPLES = [
+  ['"int"', '"int"'],
+  ['{"type": "int"}', '"int"'],
+  ['{"type": "string", "logicalType": "uuid", "cp_string": "x"}', '"string"'],
+  ['{"items": {"type": "int"}, "type": "array"}', '{"type":"array","items":"int"}'],
+  ['{"values": "long", "type": "map", "cp_boolean": true}', '{"type":"map","values":"long"}'],
+  ['["null", {"type": "string"}]', '["null","string"]'],
+  ['{"size": 16, "name": "MD5", "type": "fixed", "namespace": "o.a"}', '{"name":"o.a.MD5","type":"fixed","size":16}'],
+  [
+    '{"namespace": "x.y.z", "type": "enum", "name": "foo", "doc": "foo bar", "symbols": ["A1", "A2"]}',
+    '{"name":"x.y.z.foo","type":"enum","symbols":["A1","A2"]}'
+  ],
+  [
+    '{"name": "a.b.c.foo", "namespace": "x.y.z", "type": "enum", "symbols": ["A1"]}',
+    '{"name":"a.b.c.foo","type":"enum","symbols":["A1"]}'
+  ],
+  [
+    `{"type": "record", "name": "Node", "namespace": "org.a", "doc": "A linked list",
+      "fields": [{"name": "label", "type": "string", "order": "descending", "doc": "Label"},
+                 {"type": ["null", "Node"], "name": "next", "default": null},
+                 {"name": "hash", "type": {"type": "fixed", "name": "Hash", "size": 4}},
+                 {"name": "previousHash", "type": "Hash"}]}`,
+    '{"name":"org.a.Node","type":"record","fields":[{"name":"label","type":"string"},' +
+      '{"name":"next","type":["null","org.a.Node"]},{"name":"hash","type":{"name":"org.a.Hash","type":"fixed","size":4}},' +
+      '{"name":"previousHash","type":"org.a.Hash"}]}'
+  ]
+]
+
 const EXAMPLES = PRIMITIVE_EXAMPLES.concat(
   FIXED_EXAMPLES,
   ENUM_EXAMPLES,
@@ -262,6 +345,7 @@ const EXAMPLES = PRIMITIVE_EXAMPLES.concat(
   MAP_EXAMPLES,
   UNION_EXAMPLES,
   RECORD_EXAMPLES,
+  DEFAULT_EXAMPLES,
   DOC_EXAMPLES
 )
 
@@ -369,6 +453,85 @@ describe('Schema', () => {
       const fullname = new schema.Name('a', 'o.a.a', 'o.a.h').fullname
       assert.strictEqual(fullname, 'o.a.a.a')
     })
+
+    it('nested names inherit the enclosing namespace', () => {
+      const s = schema.parse(`
+        {"type": "record", "name": "Outer", "namespace": "o.a.h",
+         "fields": [{"name": "f", "type": {"type": "fixed", "name": "F", "size": 1}},
+                    {"name": "g", "type": "F"},
+                    {"name": "h", "type": {"type": "enum", "name": "x.E", "symbols": ["A"]}}]}`)
+      assert.strictEqual(s.fullname, 'o.a.h.Outer')
+      assert.strictEqual(s.fields[0].type.fullname, 'o.a.h.F')
+      assert.strictEqual(s.fields[1].type, s.fields[0].type)
+      assert.strictEqual(s.fields[2].type.fullname, 'x.E')
+    })
+  })
+
+  describe('Aliases', () => {
+    it('are resolved against the namespace of the name', () => {
+      const s = schema.parse(`
+        {"type": "record", "name": "Record", "namespace": "org.new",
+         "aliases": ["OldRecord", "org.old.Record"],
+         "fields": [{"name": "f", "type": {"type": "enum", "name": "x.E", "aliases": ["Old"], "symbols": ["A"]}, "aliases": ["g"]},
+                    {"name": "h", "type": "int"}]}`)
+      assert.deepStrictEqual(s.aliases, ['org.new.OldRecord', 'org.old.Record'])
+      assert.deepStrictEqual(s.fields[0].type.aliases, ['x.Old'])
+      assert.deepStrictEqual(s.fields[0].aliases, ['g'])
+      assert.deepStrictEqual(s.fields[1].aliases, [])
+      assert.deepStrictEqual(schema.parse(s.toString()).toJson(), s.toJson())
+    })
+
+    it('must be a list of names', () => {
+      assert.throws(() => schema.parse('{"type": "fixed", "name": "F", "size": 1, "aliases": "G"}'), /aliases property must be a list/)
+      assert.throws(() => schema.parse('{"type": "record", "name": "R", "fields": [{"name": "f", "type": "int", "aliases": [1]}]}'), /aliases property must be a list/)
+    })
+  })
+
+  describe('Default values', () => {
+    it('report the path of the invalid value', () => {
+      const s = `
+        {"type": "record", "name": "Test",
+         "fields": [{"name": "f",
+                     "type": {"type": "array",
+                              "items": {"type": "record", "name": "R",
+                                        "fields": [{"name": "m", "type": {"type": "map", "values": "int"}}]}},
+                     "default": [{"m": {}}, {"m": {"k": "v"}}]}]}`
+      assert.throws(() => schema.parse(s), { message: 'Invalid default value for field f: Test.f[1].m["k"] does not match its schema.' })
+    })
+
+    it('report the path from the enclosing record', () => {
+      const s = `
+        {"type": "record", "name": "a.Outer",
+         "fields": [{"name": "inner",
+                     "type": {"type": "record", "name": "Inner", "fields": [{"name": "f", "type": "int", "default": "x"}]}}]}`
+      assert.throws(() => schema.parse(s), err => {
+        assert(/Invalid default value for field f: a\.Inner\.f does not match its schema/.test(err.message))
+        assert.strictEqual(err.cause.path, 'a.Inner.f')
+        return true
+      })
+    })
+
+    it('are kept after parsing', () => {
+      const s = schema.parse('{"type": "record", "name": "Test", "fields": [{"name": "f", "type": "bytes", "default": "\\u00ff"}]}')
+      assert(s.fields[0].hasDefault)
+      assert.strictEqual(s.fields[0].default, '\u00ff')
+    })
+  })
+
+  describe('Parsing Canonical Form', () => {
+    for (const [exampleSchema, canonicalForm] of CANONICAL_FORM_EXAMPLES) {
+      it(exampleSchema, () => {
+        assert.strictEqual(schema.parse(exampleSchema).toCanonicalString(), canonicalForm)
+      })
+    }
+
+    it('is identical for semantically identical schemas', () => {
+      const a = schema.parse('{"type": "record", "name": "a.T", "fields": [{"name": "f", "type": "int"}]}')
+      const b = schema.parse('{"fields": [{"type": {"type": "int"}, "name": "f", "doc": "F"}], "namespace": "a", "name": "T", "type": "record"}')
+      assert.notStrictEqual(a.toString(), b.toString())
+      assert.strictEqual(a.toCanonicalString(), b.toCanonicalString())
+      assert.deepStrictEqual(a.fingerprint(), b.fingerprint())
+    })
   })
 
   describe('Doc attributes', () => {